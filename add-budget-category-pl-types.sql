@@ -0,0 +1,12 @@
+-- Classify budget categories for the Metrics tab's profit & loss report
+-- Run this migration in Supabase SQL editor (after add-budget-settings.sql)
+-- Only 'operating' categories count as operating expenses; inventory purchases are already in cost of goods
+-- and marketing spend comes from marketing_campaigns, so counting them again would double them
+
+ALTER TABLE budget_categories
+ADD COLUMN IF NOT EXISTS pl_type VARCHAR(20) NOT NULL DEFAULT 'operating'
+  CHECK (pl_type IN ('operating', 'inventory', 'marketing', 'excluded'));
+
+-- Categories can be classified without a spending cap
+ALTER TABLE budget_categories ALTER COLUMN allocation DROP NOT NULL;
+ALTER TABLE budget_categories ALTER COLUMN allocation DROP DEFAULT;
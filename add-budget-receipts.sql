@@ -0,0 +1,20 @@
+-- Attach a receipt (image or PDF) to each budget transaction
+-- Run this migration in Supabase SQL editor (after add-budget-transactions.sql)
+-- Files live in the private "budget-receipts" storage bucket; the transaction row keeps their metadata
+
+ALTER TABLE budget_transactions
+ADD COLUMN IF NOT EXISTS receipt_name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS receipt_path TEXT,
+ADD COLUMN IF NOT EXISTS receipt_content_type VARCHAR(100),
+ADD COLUMN IF NOT EXISTS receipt_size_bytes BIGINT,
+ADD COLUMN IF NOT EXISTS receipt_storage VARCHAR(20) CHECK (receipt_storage IN ('supabase', 'local'));
+
+-- Private storage bucket (10MB per file)
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('budget-receipts', 'budget-receipts', false, 10485760)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Authenticated users manage budget receipts" ON storage.objects;
+CREATE POLICY "Authenticated users manage budget receipts" ON storage.objects
+  FOR ALL USING (bucket_id = 'budget-receipts' AND auth.role() = 'authenticated')
+  WITH CHECK (bucket_id = 'budget-receipts' AND auth.role() = 'authenticated');
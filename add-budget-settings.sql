@@ -0,0 +1,51 @@
+-- Add the overall budget and per-category allocations for the Budget tab
+-- Run this migration in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS budget_settings (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  total_budget DECIMAL(10, 2) NOT NULL DEFAULT 7000 CHECK (total_budget >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+CREATE TABLE IF NOT EXISTS budget_categories (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE CHECK (length(trim(name)) > 0),
+  allocation DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (allocation >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE budget_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON budget_settings;
+CREATE POLICY "Allow all for authenticated users" ON budget_settings
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON budget_categories;
+CREATE POLICY "Allow all for authenticated users" ON budget_categories
+  FOR ALL USING (auth.role() = 'authenticated');
+
+-- Create triggers for updated_at
+DROP TRIGGER IF EXISTS update_budget_settings_updated_at ON budget_settings;
+CREATE TRIGGER update_budget_settings_updated_at BEFORE UPDATE ON budget_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_budget_categories_updated_at ON budget_categories;
+CREATE TRIGGER update_budget_categories_updated_at BEFORE UPDATE ON budget_categories
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed with the original $7,000 budget (the app only uses the first row)
+INSERT INTO budget_settings (total_budget)
+SELECT 7000
+WHERE NOT EXISTS (SELECT 1 FROM budget_settings);
+
+-- Start each existing category with the sum of its budgeted line items
+INSERT INTO budget_categories (name, allocation)
+SELECT category, COALESCE(SUM(budgeted), 0)
+FROM budget_items
+WHERE category IS NOT NULL AND trim(category) <> ''
+GROUP BY category
+ON CONFLICT (name) DO NOTHING;
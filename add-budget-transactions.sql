@@ -0,0 +1,58 @@
+-- Add an expense ledger behind each budget line; budget_items.actual becomes the sum of its transactions
+-- Run this migration in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS budget_transactions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  budget_item_id UUID NOT NULL REFERENCES budget_items(id) ON DELETE CASCADE,
+  date DATE NOT NULL DEFAULT CURRENT_DATE,
+  vendor VARCHAR(255),
+  amount DECIMAL(10, 2) NOT NULL DEFAULT 0, -- negative for refunds
+  payment_method VARCHAR(50), -- card | bank_transfer | cash | check | paypal | other
+  memo TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE budget_transactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON budget_transactions;
+CREATE POLICY "Allow all for authenticated users" ON budget_transactions
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_budget_transactions_updated_at ON budget_transactions;
+CREATE TRIGGER update_budget_transactions_updated_at BEFORE UPDATE ON budget_transactions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create index for loading an item's ledger in date order
+CREATE INDEX IF NOT EXISTS idx_budget_transactions_item_date
+ON budget_transactions(budget_item_id, date);
+
+-- Keep budget_items.actual equal to the sum of the item's transactions
+CREATE OR REPLACE FUNCTION sync_budget_item_actual()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE budget_items
+        SET actual = COALESCE((SELECT SUM(amount) FROM budget_transactions WHERE budget_item_id = OLD.budget_item_id), 0)
+        WHERE id = OLD.budget_item_id;
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE budget_items
+        SET actual = COALESCE((SELECT SUM(amount) FROM budget_transactions WHERE budget_item_id = NEW.budget_item_id), 0)
+        WHERE id = NEW.budget_item_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_budget_transactions_actual ON budget_transactions;
+CREATE TRIGGER sync_budget_transactions_actual AFTER INSERT OR UPDATE OR DELETE ON budget_transactions
+  FOR EACH ROW EXECUTE FUNCTION sync_budget_item_actual();
+
+-- Carry existing actuals over as one opening transaction per item so the totals don't change
+INSERT INTO budget_transactions (budget_item_id, date, amount, memo)
+SELECT bi.id, COALESCE(bi.date, CURRENT_DATE), bi.actual, 'Opening balance (recorded before the ledger)'
+FROM budget_items bi
+WHERE COALESCE(bi.actual, 0) <> 0
+AND NOT EXISTS (SELECT 1 FROM budget_transactions bt WHERE bt.budget_item_id = bi.id);
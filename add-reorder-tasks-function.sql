@@ -0,0 +1,19 @@
+-- Add reorder_tasks function for atomic drag-and-drop reordering
+-- Run this migration in Supabase SQL editor
+
+-- Applies a batch of placement changes in a single statement, so a reorder
+-- either fully succeeds or leaves every position untouched.
+-- p_updates: [{ "id": "...", "week": 1, "day": "Day 1-2", "position": 0 }, ...]
+CREATE OR REPLACE FUNCTION reorder_tasks(p_updates JSONB)
+RETURNS SETOF tasks AS $$
+  UPDATE tasks t
+  SET week = u.week,
+      day = u.day,
+      position = u.position
+  FROM jsonb_to_recordset(p_updates) AS u(id UUID, week INTEGER, day VARCHAR, position INTEGER)
+  WHERE t.id = u.id
+  RETURNING t.*;
+$$ LANGUAGE sql SECURITY INVOKER;
+
+-- Allow signed-in users to call it through the API (RLS on tasks still applies)
+GRANT EXECUTE ON FUNCTION reorder_tasks(JSONB) TO authenticated;
@@ -0,0 +1,29 @@
+-- Add sprint configuration table (start date, length and week titles)
+-- Run this migration in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS sprint_settings (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(100) DEFAULT 'Launch Sprint',
+  start_date DATE,
+  num_weeks INTEGER NOT NULL DEFAULT 4 CHECK (num_weeks BETWEEN 1 AND 52),
+  week_titles JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE sprint_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON sprint_settings;
+CREATE POLICY "Allow all for authenticated users" ON sprint_settings
+  FOR ALL USING (auth.role() = 'authenticated');
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_sprint_settings_updated_at ON sprint_settings;
+CREATE TRIGGER update_sprint_settings_updated_at BEFORE UPDATE ON sprint_settings
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Seed with the original 30-day launch plan (the app only uses the first row)
+INSERT INTO sprint_settings (name, num_weeks, week_titles)
+SELECT 'Launch Sprint', 4, '["Foundation & Legal Setup", "Product Development & Marketing", "Launch Preparation", "Launch & Scale"]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM sprint_settings);
@@ -0,0 +1,27 @@
+-- Add reusable sprint templates (task sets with due dates stored as day offsets from the sprint start)
+-- Run this migration in Supabase SQL editor (after add-sprint-settings.sql and add-task-assignees.sql)
+
+CREATE TABLE IF NOT EXISTS sprint_templates (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+  description TEXT DEFAULT '',
+  num_weeks INTEGER NOT NULL DEFAULT 4 CHECK (num_weeks BETWEEN 1 AND 52),
+  week_titles TEXT[] DEFAULT '{}',
+  -- [{ week, day, task, priority, notes, tags, estimate_hours, assignee_id, auto_complete_subtasks,
+  --    recurrence_rule, recurrence_interval, position, due_offset, depends_on: [index], series: index }]
+  tasks JSONB NOT NULL DEFAULT '[]',
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE sprint_templates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON sprint_templates;
+CREATE POLICY "Allow all for authenticated users" ON sprint_templates
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_sprint_templates_updated_at ON sprint_templates;
+CREATE TRIGGER update_sprint_templates_updated_at BEFORE UPDATE ON sprint_templates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
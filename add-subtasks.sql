@@ -0,0 +1,31 @@
+-- Add subtasks (checklist items) to tasks
+-- Run this migration in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS subtasks (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  completed BOOLEAN DEFAULT false,
+  position INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE subtasks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON subtasks;
+CREATE POLICY "Allow all for authenticated users" ON subtasks
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_subtasks_updated_at ON subtasks;
+CREATE TRIGGER update_subtasks_updated_at BEFORE UPDATE ON subtasks
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create index for loading a task's checklist in order
+CREATE INDEX IF NOT EXISTS idx_subtasks_task_position 
+ON subtasks(task_id, position);
+
+-- Whether a task completes itself once all of its subtasks are done
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS auto_complete_subtasks BOOLEAN DEFAULT true;
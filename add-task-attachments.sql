@@ -0,0 +1,41 @@
+-- Add file attachments to tasks
+-- Run this migration in Supabase SQL editor (after add-task-assignees.sql)
+-- Files live in the private "task-attachments" storage bucket; this table keeps their metadata
+
+CREATE TABLE IF NOT EXISTS task_attachments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  file_name VARCHAR(255) NOT NULL,
+  file_path TEXT NOT NULL,
+  content_type VARCHAR(100),
+  size_bytes BIGINT,
+  storage VARCHAR(20) DEFAULT 'supabase' CHECK (storage IN ('supabase', 'local')),
+  uploaded_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE task_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON task_attachments;
+CREATE POLICY "Allow all for authenticated users" ON task_attachments
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_task_attachments_updated_at ON task_attachments;
+CREATE TRIGGER update_task_attachments_updated_at BEFORE UPDATE ON task_attachments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create index for loading a task's attachments
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task
+ON task_attachments(task_id);
+
+-- Private storage bucket (10MB per file)
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('task-attachments', 'task-attachments', false, 10485760)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Authenticated users manage task attachments" ON storage.objects;
+CREATE POLICY "Authenticated users manage task attachments" ON storage.objects
+  FOR ALL USING (bucket_id = 'task-attachments' AND auth.role() = 'authenticated')
+  WITH CHECK (bucket_id = 'task-attachments' AND auth.role() = 'authenticated');
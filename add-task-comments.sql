@@ -0,0 +1,26 @@
+-- Add per-task comment threads
+-- Run this migration in Supabase SQL editor (after add-task-assignees.sql)
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  body TEXT NOT NULL CHECK (length(trim(body)) > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE task_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON task_comments;
+CREATE POLICY "Allow all for authenticated users" ON task_comments
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_task_comments_updated_at ON task_comments;
+CREATE TRIGGER update_task_comments_updated_at BEFORE UPDATE ON task_comments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create index for loading a task's thread in order
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_created
+ON task_comments(task_id, created_at);
@@ -0,0 +1,30 @@
+-- Record when tasks are completed (for the burndown and velocity charts)
+-- Run this migration in Supabase SQL editor
+
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Best guess for tasks completed before this migration: their last update
+UPDATE tasks
+SET completed_at = updated_at
+WHERE completed = true AND completed_at IS NULL;
+
+-- Keep completed_at in step with completed for every writer (app, CSV import, SQL editor)
+CREATE OR REPLACE FUNCTION sync_task_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT NEW.completed THEN
+        NEW.completed_at = NULL;
+    ELSIF NEW.completed_at IS NULL THEN
+        NEW.completed_at = TIMEZONE('utc', NOW());
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_tasks_completed_at ON tasks;
+CREATE TRIGGER sync_tasks_completed_at BEFORE INSERT OR UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION sync_task_completed_at();
+
+CREATE INDEX IF NOT EXISTS idx_tasks_completed_at 
+ON tasks(completed_at);
@@ -0,0 +1,15 @@
+-- Add task dependencies (predecessors) to tasks table
+-- Run this migration in Supabase SQL editor
+
+-- Ids of the tasks that must be completed before this task can start
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS depends_on UUID[] DEFAULT '{}';
+
+-- Backfill existing rows so the app can treat the column as an array
+UPDATE tasks
+SET depends_on = '{}'
+WHERE depends_on IS NULL;
+
+-- Create index for looking up the dependents of a task
+CREATE INDEX IF NOT EXISTS idx_tasks_depends_on 
+ON tasks USING GIN (depends_on);
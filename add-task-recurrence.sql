@@ -0,0 +1,13 @@
+-- Add recurrence rules to tasks table
+-- Run this migration in Supabase SQL editor
+
+-- daily | weekdays | weekly | interval (every recurrence_interval days)
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(20),
+ADD COLUMN IF NOT EXISTS recurrence_interval INTEGER DEFAULT 1 CHECK (recurrence_interval >= 1),
+-- Shared by every occurrence of a recurring task (id of the first occurrence)
+ADD COLUMN IF NOT EXISTS series_id UUID;
+
+-- Create index for finding the occurrences of a series
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id 
+ON tasks(series_id);
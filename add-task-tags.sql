@@ -0,0 +1,9 @@
+-- Add free-form tags (e.g. legal, packaging, partner-outreach) to tasks
+-- Run this migration in Supabase SQL editor
+
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+-- Create index for filtering tasks by tag
+CREATE INDEX IF NOT EXISTS idx_tasks_tags 
+ON tasks USING GIN (tags);
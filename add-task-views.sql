@@ -0,0 +1,30 @@
+-- Add saved Tasks tab views (search, filters, sort and layout), shared by the whole team
+-- Run this migration in Supabase SQL editor (after add-task-assignees.sql)
+
+CREATE TABLE IF NOT EXISTS task_views (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+  query TEXT NOT NULL DEFAULT '',
+  my_tasks_only BOOLEAN NOT NULL DEFAULT false,
+  sort VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (sort IN ('manual', 'due_date', 'priority', 'name')),
+  layout VARCHAR(20) NOT NULL DEFAULT 'list' CHECK (layout IN ('list', 'timeline', 'board')),
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW())
+);
+
+-- Enable Row Level Security
+ALTER TABLE task_views ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON task_views;
+CREATE POLICY "Allow all for authenticated users" ON task_views
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_task_views_updated_at ON task_views;
+CREATE TRIGGER update_task_views_updated_at BEFORE UPDATE ON task_views
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Starter view for the ops team
+INSERT INTO task_views (name, query, sort, layout)
+SELECT 'Overdue high priority', 'priority:high is:open due:<today', 'due_date', 'list'
+WHERE NOT EXISTS (SELECT 1 FROM task_views WHERE name = 'Overdue high priority');
@@ -0,0 +1,35 @@
+-- Add time tracking to tasks: an estimate per task and logged time entries
+-- Run this migration in Supabase SQL editor (after add-task-assignees.sql)
+
+ALTER TABLE tasks 
+ADD COLUMN IF NOT EXISTS estimate_hours NUMERIC(6, 2) CHECK (estimate_hours >= 0);
+
+CREATE TABLE IF NOT EXISTS time_entries (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT TIMEZONE('utc', NOW()),
+  ended_at TIMESTAMP WITH TIME ZONE, -- NULL while the timer is running
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc', NOW()),
+  CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- Enable Row Level Security
+ALTER TABLE time_entries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all for authenticated users" ON time_entries;
+CREATE POLICY "Allow all for authenticated users" ON time_entries
+  FOR ALL USING (auth.role() = 'authenticated');
+
+DROP TRIGGER IF EXISTS update_time_entries_updated_at ON time_entries;
+CREATE TRIGGER update_time_entries_updated_at BEFORE UPDATE ON time_entries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create index for summing a task's logged time
+CREATE INDEX IF NOT EXISTS idx_time_entries_task
+ON time_entries(task_id);
+
+-- A user can only have one running timer at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_one_running_per_user
+ON time_entries(user_id) WHERE ended_at IS NULL;
@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import Button from '@/components/ui/Button'
+import Input from '@/components/ui/Input'
+import Select from '@/components/ui/Select'
+import { PL_TYPES, formatCurrency } from '@/utils/budgetConfig'
+
+// Edit the overall budget and the cap for each category, plus how its spend shows in the P&L
+// Categories used by line items are listed even without a cap; leaving the cap blank means "no cap"
+export default function BudgetSettingsForm({ totalBudget, categories, itemCategories, onSave, onCancel }) {
+  const [total, setTotal] = useState(String(totalBudget))
+  const [rows, setRows] = useState(() => {
+    const allocated = categories.map(category => ({
+      name: category.name,
+      allocation: category.allocation === null ? '' : String(category.allocation),
+      plType: category.pl_type || 'operating',
+    }))
+    const unallocated = itemCategories
+      .filter(name => !categories.some(category => category.name === name))
+      .map(name => ({ name, allocation: '', plType: 'operating' }))
+    return [...allocated, ...unallocated].sort((a, b) => a.name.localeCompare(b.name))
+  })
+  const [isSaving, setIsSaving] = useState(false)
+
+  const totalValue = parseFloat(total) || 0
+  const allocatedTotal = rows.reduce((sum, row) => sum + (parseFloat(row.allocation) || 0), 0)
+  const names = rows.map(row => row.name.trim()).filter(Boolean)
+  const hasDuplicates = new Set(names).size !== names.length
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => i === index ? { ...row, [field]: value } : row))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (hasDuplicates) return
+
+    setIsSaving(true)
+    try {
+      await onSave({
+        totalBudget: Math.max(totalValue, 0),
+        // Uncapped categories are only stored when they're classified for the P&L
+        allocations: rows
+          .filter(row => row.name.trim() && (row.allocation !== '' || row.plType !== 'operating'))
+          .map(row => ({
+            name: row.name.trim(),
+            allocation: row.allocation === '' ? null : Math.max(parseFloat(row.allocation) || 0, 0),
+            pl_type: row.plType,
+          })),
+      })
+    } catch (error) {
+      // Error toast is shown by the caller
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Total Budget ($)"
+        type="number"
+        min="0"
+        step="0.01"
+        value={total}
+        onChange={(e) => setTotal(e.target.value)}
+      />
+
+      <div>
+        <div className="flex justify-between items-center mb-1.5">
+          <label className="block text-sm font-medium text-gray-900">Category Allocations ($)</label>
+          <button
+            type="button"
+            onClick={() => setRows(prev => [...prev, { name: '', allocation: '', plType: 'operating' }])}
+            className="text-sm text-green-700 hover:text-green-800 font-medium"
+          >
+            + Add category
+          </button>
+        </div>
+        <div className="space-y-2">
+          {rows.map((row, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <Input
+                value={row.name}
+                onChange={(e) => updateRow(index, 'name', e.target.value)}
+                placeholder="Category"
+                aria-label="Category name"
+              />
+              <div className="w-36 shrink-0">
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={row.allocation}
+                  onChange={(e) => updateRow(index, 'allocation', e.target.value)}
+                  placeholder="No cap"
+                  aria-label={`Allocation for ${row.name || 'category'}`}
+                />
+              </div>
+              <div className="w-52 shrink-0">
+                <Select
+                  value={row.plType}
+                  onChange={(e) => updateRow(index, 'plType', e.target.value)}
+                  options={PL_TYPES}
+                  aria-label={`P&L treatment for ${row.name || 'category'}`}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded text-sm font-medium transition-all"
+                aria-label={`Remove ${row.name || 'category'}`}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        <p className={`mt-2 text-sm ${allocatedTotal > totalValue ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+          Allocated {formatCurrency(allocatedTotal)} of {formatCurrency(totalValue)}
+          {allocatedTotal > totalValue
+            ? ` · ${formatCurrency(allocatedTotal - totalValue)} more than the total budget`
+            : ` · ${formatCurrency(totalValue - allocatedTotal)} unallocated`}
+        </p>
+        <p className="mt-1 text-xs text-gray-500">
+          Only operating expense categories count toward operating expenses in the Metrics tab&rsquo;s P&amp;L.
+        </p>
+        {hasDuplicates && (
+          <p className="mt-1 text-sm text-red-600">Each category can only be listed once.</p>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={isSaving || hasDuplicates}>
+          {isSaving ? 'Saving...' : 'Save Budget'}
+        </Button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,64 @@
+import { format, parseISO } from 'date-fns'
+import { SpendForecastChart } from '@/components/charts/EnhancedCharts'
+import { formatCurrency } from '@/utils/budgetConfig'
+
+function ForecastStat({ label, value, detail, tone = 'text-gray-900' }) {
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm">
+      <div className="text-gray-600 text-xs md:text-sm font-medium mb-1">{label}</div>
+      <div className={`text-xl md:text-2xl font-bold ${tone}`}>{value}</div>
+      {detail && <div className="text-xs text-gray-500 mt-1">{detail}</div>}
+    </div>
+  )
+}
+
+// Burn rate, projected end-of-sprint spend and run-out date, with cumulative spend charted against the plan
+export default function BurnRateForecast({ forecast, data, totalBudget }) {
+  if (!forecast) {
+    return (
+      <div className="bg-gray-50 border border-gray-200 rounded-xl p-6 mb-6 text-sm text-gray-600">
+        Set a sprint start date in the Tasks tab&rsquo;s ⚙️ Sprint Settings to see the burn-rate forecast.
+      </div>
+    )
+  }
+
+  const endLabel = format(parseISO(forecast.endDate), 'MMM d')
+  let runOut = { value: 'Not at this pace', detail: 'No spending recorded in the sprint yet', tone: 'text-gray-900' }
+  if (forecast.isOverBudget) {
+    runOut = { value: format(parseISO(forecast.runOutDate), 'MMM d, yyyy'), detail: 'Budget already exceeded', tone: 'text-red-600' }
+  } else if (forecast.runOutDate) {
+    runOut = {
+      value: format(parseISO(forecast.runOutDate), 'MMM d, yyyy'),
+      detail: forecast.runsOutBeforeEnd ? `Before the sprint ends on ${endLabel}` : `After the sprint ends on ${endLabel}`,
+      tone: forecast.runsOutBeforeEnd ? 'text-red-600' : 'text-green-600',
+    }
+  }
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 p-4 md:p-6 rounded-xl mb-6 border border-gray-200 shadow-sm">
+      <div className="flex justify-between items-baseline mb-4">
+        <h3 className="text-lg font-bold text-gray-900">Burn-Rate Forecast</h3>
+        <span className="text-sm text-gray-500">
+          Day {forecast.elapsedDays} of {forecast.totalDays}
+        </span>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 md:gap-4 mb-4">
+        <ForecastStat
+          label="Daily burn rate"
+          value={`${formatCurrency(forecast.dailyRate)}/day`}
+          detail={`Average over ${forecast.elapsedDays} sprint day${forecast.elapsedDays !== 1 ? 's' : ''}`}
+        />
+        <ForecastStat
+          label="Projected spend at sprint end"
+          value={formatCurrency(forecast.projectedSpend)}
+          detail={forecast.projectedRemaining >= 0
+            ? `${formatCurrency(forecast.projectedRemaining)} left on ${endLabel}`
+            : `${formatCurrency(-forecast.projectedRemaining)} over budget on ${endLabel}`}
+          tone={forecast.projectedRemaining >= 0 ? 'text-green-600' : 'text-red-600'}
+        />
+        <ForecastStat label="Budget runs out" {...runOut} />
+      </div>
+      <SpendForecastChart data={data} budget={totalBudget} />
+    </div>
+  )
+}
@@ -0,0 +1,50 @@
+import { formatCurrency, getUsageColor } from '@/utils/budgetConfig'
+
+// Spend per category against its cap, with warnings when line items go past the cap
+export default function CategoryBreakdown({ summaries, onEdit }) {
+  if (summaries.length === 0) return null
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3 mt-4 md:mt-6">
+      {summaries.map(summary => (
+        <div key={summary.name} className="bg-white p-4 rounded-lg shadow-sm">
+          <div className="flex justify-between items-baseline gap-2 mb-2">
+            <span className="font-semibold text-gray-900 truncate">{summary.name}</span>
+            <span className="text-sm text-gray-600 whitespace-nowrap">
+              {formatCurrency(summary.actual)}
+              {summary.allocation !== null && <> / {formatCurrency(summary.allocation)}</>}
+            </span>
+          </div>
+          {summary.allocation !== null ? (
+            <>
+              <div className="bg-gray-200 rounded-full h-2 overflow-hidden">
+                <div
+                  className={`h-2 rounded-full transition-all duration-500 ${getUsageColor(summary.percentUsed)}`}
+                  style={{ width: `${Math.min(summary.percentUsed, 100)}%` }}
+                />
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{summary.percentUsed.toFixed(1)}% used</span>
+                <span>Budgeted items: {formatCurrency(summary.budgeted)}</span>
+              </div>
+              {summary.overAllocatedBy > 0 && (
+                <p className="text-xs font-medium text-red-600 mt-2">
+                  ⚠ Line items are budgeted {formatCurrency(summary.overAllocatedBy)} over this category&rsquo;s cap
+                </p>
+              )}
+              {summary.overSpentBy > 0 && (
+                <p className="text-xs font-medium text-red-600 mt-1">
+                  ⚠ Spent {formatCurrency(summary.overSpentBy)} over the cap
+                </p>
+              )}
+            </>
+          ) : (
+            <button onClick={onEdit} className="text-xs text-gray-500 hover:text-gray-900">
+              No allocation yet · Set one
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
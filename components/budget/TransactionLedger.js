@@ -0,0 +1,221 @@
+import { Fragment, useState } from 'react'
+import Button from '@/components/ui/Button'
+import FileInput from '@/components/ui/FileInput'
+import { formatCurrency } from '@/utils/budgetConfig'
+import { MAX_ATTACHMENT_SIZE, formatFileSize } from '@/utils/attachmentStorage'
+import { PAYMENT_METHODS, RECEIPT_ACCEPT, getLedgerTotal, isMissingReceipt } from '@/utils/budgetLedger'
+
+const cellInputClass = 'w-full px-2 py-1 text-sm text-gray-900 rounded border border-transparent hover:border-gray-200 focus:border-green-500 focus:outline-none bg-transparent'
+
+// Transactions behind one budget item; fields save on blur and the item's actual is their total
+export default function TransactionLedger({
+  transactions,
+  uploadingId,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onUploadReceipt,
+  onRemoveReceipt,
+  onGetReceiptUrl,
+}) {
+  // Transaction whose receipt drop zone is open
+  const [attachingId, setAttachingId] = useState(null)
+  const total = getLedgerTotal(transactions)
+
+  const toggleAttach = (transaction) => {
+    setAttachingId(prev => prev === transaction.id ? null : transaction.id)
+  }
+
+  const handleUpload = async (transaction, file) => {
+    await onUploadReceipt(transaction, file)
+    setAttachingId(null)
+  }
+
+  // Open the tab before awaiting the URL so the popup isn't blocked
+  const handlePreview = async (transaction) => {
+    const preview = window.open('', '_blank')
+    const url = await onGetReceiptUrl(transaction)
+    if (!url) {
+      preview?.close()
+      return
+    }
+    if (preview) {
+      preview.location.href = url
+    } else {
+      window.location.href = url
+    }
+  }
+
+  const saveText = (transaction, field) => (e) => {
+    const value = e.target.value.trim()
+    if (value !== (transaction[field] || '')) onUpdate(transaction.id, { [field]: value })
+  }
+
+  const saveAmount = (transaction) => (e) => {
+    const amount = parseFloat(e.target.value) || 0
+    if (amount !== parseFloat(transaction.amount || 0)) onUpdate(transaction.id, { amount })
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+              <th className="px-2 py-1 font-medium w-36">Date</th>
+              <th className="px-2 py-1 font-medium">Vendor</th>
+              <th className="px-2 py-1 font-medium w-28">Amount</th>
+              <th className="px-2 py-1 font-medium w-36">Payment</th>
+              <th className="px-2 py-1 font-medium">Memo</th>
+              <th className="px-2 py-1 font-medium w-40">Receipt</th>
+              <th className="px-2 py-1 w-8"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {transactions.map(transaction => (
+              <Fragment key={transaction.id}>
+                <tr className="group">
+                  <td className="px-1 py-0.5">
+                    <input
+                      type="date"
+                      defaultValue={transaction.date || ''}
+                      onBlur={(e) => {
+                        if (e.target.value && e.target.value !== transaction.date) {
+                          onUpdate(transaction.id, { date: e.target.value })
+                        }
+                      }}
+                      className={cellInputClass}
+                    />
+                  </td>
+                  <td className="px-1 py-0.5">
+                    <input
+                      type="text"
+                      defaultValue={transaction.vendor || ''}
+                      onBlur={saveText(transaction, 'vendor')}
+                      placeholder="Vendor"
+                      className={cellInputClass}
+                    />
+                  </td>
+                  <td className="px-1 py-0.5">
+                    <input
+                      type="number"
+                      step="0.01"
+                      defaultValue={transaction.amount ?? 0}
+                      onBlur={saveAmount(transaction)}
+                      className={`${cellInputClass} ${parseFloat(transaction.amount) < 0 ? 'text-green-700' : ''}`}
+                      title="Use a negative amount for refunds"
+                    />
+                  </td>
+                  <td className="px-1 py-0.5">
+                    <select
+                      value={transaction.payment_method || ''}
+                      onChange={(e) => onUpdate(transaction.id, { payment_method: e.target.value || null })}
+                      className={cellInputClass}
+                    >
+                      {PAYMENT_METHODS.map(method => (
+                        <option key={method.value} value={method.value}>{method.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-1 py-0.5">
+                    <input
+                      type="text"
+                      defaultValue={transaction.memo || ''}
+                      onBlur={saveText(transaction, 'memo')}
+                      placeholder="Memo"
+                      className={cellInputClass}
+                    />
+                  </td>
+                  <td className="px-2 py-0.5 whitespace-nowrap">
+                    {uploadingId === transaction.id ? (
+                      <span className="text-gray-500">Uploading...</span>
+                    ) : transaction.receipt_path ? (
+                      <span className="flex items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => handlePreview(transaction)}
+                          className="text-gray-700 hover:text-gray-900 truncate max-w-[7rem]"
+                          title={`${transaction.receipt_name} (${formatFileSize(transaction.receipt_size_bytes)})`}
+                        >
+                          📄 {transaction.receipt_name}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => toggleAttach(transaction)}
+                          className="px-1 text-gray-500 hover:text-gray-900"
+                          title="Replace receipt"
+                        >
+                          ↻
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onRemoveReceipt(transaction)}
+                          className="px-1 text-red-600 hover:text-red-700"
+                          title="Remove receipt"
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => toggleAttach(transaction)}
+                        className={isMissingReceipt(transaction)
+                          ? 'text-red-600 hover:text-red-700 font-medium'
+                          : 'text-gray-500 hover:text-gray-900'}
+                      >
+                        {isMissingReceipt(transaction) ? '⚠ Missing · Attach' : 'Attach'}
+                      </button>
+                    )}
+                  </td>
+                  <td className="px-1 py-0.5 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onDelete(transaction)}
+                      className="px-1.5 py-1 text-red-600 hover:text-red-700 opacity-60 group-hover:opacity-100"
+                      title="Delete transaction"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+                {attachingId === transaction.id && uploadingId !== transaction.id && (
+                  <tr>
+                    <td colSpan="7" className="px-1 pb-2">
+                      <FileInput
+                        accept={RECEIPT_ACCEPT}
+                        maxSize={MAX_ATTACHMENT_SIZE}
+                        readAsText={false}
+                        label="Images or PDFs"
+                        onFileSelect={(file) => handleUpload(transaction, file)}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {transactions.length === 0 && (
+              <tr>
+                <td colSpan="7" className="px-2 py-2 text-gray-500">
+                  No transactions yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-gray-200 font-semibold text-gray-900">
+              <td className="px-2 py-1" colSpan="2">
+                {transactions.length} transaction{transactions.length !== 1 ? 's' : ''}
+              </td>
+              <td className="px-2 py-1">{formatCurrency(total)}</td>
+              <td colSpan="4"></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <Button type="button" size="sm" variant="secondary" onClick={() => onAdd()}>
+        + Add transaction
+      </Button>
+    </div>
+  )
+}
@@ -22,7 +22,7 @@ const CustomTooltip = ({ active, payload, label }) => {
     return (
       <div className="bg-white px-4 py-2 border border-gray-200 rounded-lg shadow-lg">
         <p className="text-sm font-semibold text-gray-900">{label}</p>
-        {payload.map((entry, index) => (
+        {payload.filter(entry => entry.value !== null && entry.value !== undefined).map((entry, index) => (
           <p key={index} className="text-sm" style={{ color: entry.color }}>
             {entry.name}: ${entry.value.toLocaleString()}
           </p>
@@ -236,4 +236,196 @@ export const EnhancedMetricCard = ({ label, value, target, icon, prefix = '', su
       </div>
     </div>
   )
-}
\ No newline at end of file
+}
+
+// Sprint burndown: open tasks per day against the ideal straight line
+export const BurndownChart = ({ data }) => {
+  const latest = [...data].reverse().find(d => d.remaining !== null)
+  
+  return (
+    <div className="bg-white p-6 rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-bold text-gray-900">Sprint Burndown</h3>
+        {latest && <span className="text-sm text-gray-500">{latest.remaining} tasks remaining</span>}
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart 
+          data={data}
+          margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+          <XAxis 
+            dataKey="label" 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+            minTickGap={16}
+          />
+          <YAxis 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+            allowDecimals={false}
+          />
+          <Tooltip 
+            contentStyle={{ 
+              backgroundColor: 'white',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px'
+            }}
+          />
+          <Legend />
+          <Line 
+            type="linear" 
+            dataKey="ideal" 
+            name="Ideal"
+            stroke="#9ca3af" 
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            dot={false}
+            animationDuration={1000}
+          />
+          <Line 
+            type="stepAfter" 
+            dataKey="remaining" 
+            name="Remaining"
+            stroke="#10b981" 
+            strokeWidth={3}
+            dot={false}
+            connectNulls={false}
+            animationDuration={1500}
+            animationEasing="ease-out"
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+// Weekly velocity: tasks completed vs. tasks scheduled per sprint week
+export const VelocityChart = ({ data, average }) => {
+  return (
+    <div className="bg-white p-6 rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-bold text-gray-900">Weekly Velocity</h3>
+        <span className="text-sm text-gray-500">Avg: {formatNumber(average)} tasks/week</span>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart 
+          data={data}
+          margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+          <XAxis 
+            dataKey="label" 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+          />
+          <YAxis 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+            allowDecimals={false}
+          />
+          <Tooltip 
+            contentStyle={{ 
+              backgroundColor: 'white',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px'
+            }}
+          />
+          <Legend />
+          <Bar 
+            dataKey="planned" 
+            name="Planned"
+            fill="#d1d5db"
+            radius={[8, 8, 0, 0]}
+            animationDuration={1000}
+          />
+          <Bar 
+            dataKey="completed" 
+            name="Completed"
+            fill="#3b82f6"
+            radius={[8, 8, 0, 0]}
+            animationDuration={1000}
+            animationEasing="ease-out"
+          />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+// Cumulative budget spend vs. a linear plan over the sprint, with the current pace projected to the end
+export const SpendForecastChart = ({ data, budget }) => {
+  return (
+    <div className="bg-white p-6 rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-bold text-gray-900">Cumulative Spend</h3>
+        <span className="text-sm text-gray-500">Budget: ${budget.toLocaleString()}</span>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart 
+          data={data}
+          margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+          <XAxis 
+            dataKey="label" 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+            minTickGap={16}
+          />
+          <YAxis 
+            stroke="#6b7280"
+            tick={{ fontSize: 12 }}
+            tickLine={false}
+            axisLine={{ stroke: '#e5e7eb' }}
+            tickFormatter={formatCurrency}
+          />
+          <Tooltip content={<CustomTooltip />} />
+          <Legend />
+          <Line 
+            type="linear" 
+            dataKey="planned" 
+            name="Plan"
+            stroke="#9ca3af" 
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            dot={false}
+            animationDuration={1000}
+          />
+          <Line 
+            type="stepAfter" 
+            dataKey="actual" 
+            name="Actual"
+            stroke="#10b981" 
+            strokeWidth={3}
+            dot={false}
+            connectNulls={false}
+            animationDuration={1500}
+            animationEasing="ease-out"
+          />
+          <Line 
+            type="linear" 
+            dataKey="forecast" 
+            name="Forecast"
+            stroke="#f59e0b" 
+            strokeWidth={2}
+            strokeDasharray="4 4"
+            dot={false}
+            connectNulls={false}
+            animationDuration={1000}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
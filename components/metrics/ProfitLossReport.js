@@ -0,0 +1,93 @@
+import { format } from 'date-fns'
+import Button from '@/components/ui/Button'
+import { formatCurrency } from '@/utils/budgetConfig'
+import { downloadCSV } from '@/utils/csvParser'
+import { createProfitLossCSV, getProfitLossTotals } from '@/utils/profitLoss'
+
+// formatCurrency with the minus sign in front, e.g. "-$20"
+function formatAmount(value) {
+  return value < 0 ? `-${formatCurrency(-value)}` : formatCurrency(value)
+}
+
+function Profit({ value, margin }) {
+  return (
+    <div className={value >= 0 ? 'text-green-600' : 'text-red-600'}>
+      <div className="font-semibold">{formatAmount(value)}</div>
+      <div className="text-xs">{margin === null ? '—' : `${margin.toFixed(1)}%`}</div>
+    </div>
+  )
+}
+
+// Weekly profit & loss: revenue less cost of goods (gross), then less marketing and operating expenses (net)
+export default function ProfitLossReport({ rows, unitCost }) {
+  const totals = getProfitLossTotals(rows)
+
+  const handleExport = () => {
+    downloadCSV(createProfitLossCSV(rows), `profit-and-loss-${format(new Date(), 'yyyy-MM-dd')}.csv`)
+  }
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-2 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-gray-900">Profit &amp; Loss</h3>
+          <p className="text-xs text-gray-500">
+            Cost of goods uses {formatCurrency(unitCost)} per unit (one of each inventory component).
+            Operating expenses are budget ledger spend in operating categories; classify inventory and marketing
+            categories under ✏️ Edit budget in the Budget tab so they aren&rsquo;t counted twice.
+          </p>
+        </div>
+        <Button size="sm" variant="secondary" onClick={handleExport} disabled={rows.length === 0}>
+          Export CSV
+        </Button>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No revenue or spend recorded yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b-2 border-gray-200 bg-gray-50 text-left text-gray-700">
+                <th className="p-3 font-semibold">Week</th>
+                <th className="p-3 font-semibold text-right">Revenue</th>
+                <th className="p-3 font-semibold text-right">Cost of Goods</th>
+                <th className="p-3 font-semibold text-right">Gross Profit</th>
+                <th className="p-3 font-semibold text-right">Marketing</th>
+                <th className="p-3 font-semibold text-right">Operating</th>
+                <th className="p-3 font-semibold text-right">Net Profit</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.weekStart} className="hover:bg-gray-50">
+                  <td className="p-3 text-gray-900 whitespace-nowrap">{row.label}</td>
+                  <td className="p-3 text-right text-gray-900">
+                    {formatAmount(row.revenue)}
+                    <div className="text-xs text-gray-500">{row.units} unit{row.units !== 1 ? 's' : ''}</div>
+                  </td>
+                  <td className="p-3 text-right text-gray-700">{formatAmount(row.cogs)}</td>
+                  <td className="p-3 text-right"><Profit value={row.grossProfit} margin={row.grossMargin} /></td>
+                  <td className="p-3 text-right text-gray-700">{formatAmount(row.marketing)}</td>
+                  <td className="p-3 text-right text-gray-700">{formatAmount(row.operating)}</td>
+                  <td className="p-3 text-right"><Profit value={row.netProfit} margin={row.netMargin} /></td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t-2 border-gray-300 bg-gray-50 font-bold">
+                <td className="p-3 text-gray-900">Total</td>
+                <td className="p-3 text-right text-gray-900">{formatAmount(totals.revenue)}</td>
+                <td className="p-3 text-right text-gray-700">{formatAmount(totals.cogs)}</td>
+                <td className="p-3 text-right"><Profit value={totals.grossProfit} margin={totals.grossMargin} /></td>
+                <td className="p-3 text-right text-gray-700">{formatAmount(totals.marketing)}</td>
+                <td className="p-3 text-right text-gray-700">{formatAmount(totals.operating)}</td>
+                <td className="p-3 text-right"><Profit value={totals.netProfit} margin={totals.netMargin} /></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
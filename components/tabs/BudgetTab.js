@@ -5,7 +5,24 @@ import Button from '@/components/ui/Button'
 import Input from '@/components/ui/Input'
 import Modal from '@/components/ui/Modal'
 import { TableSkeleton } from '@/components/ui/Skeleton'
+import BudgetSettingsForm from '@/components/budget/BudgetSettingsForm'
+import BurnRateForecast from '@/components/budget/BurnRateForecast'
+import CategoryBreakdown from '@/components/budget/CategoryBreakdown'
+import TransactionLedger from '@/components/budget/TransactionLedger'
 import { useIsMobile } from '@/hooks/useMediaQuery'
+import { useBudgetConfig } from '@/hooks/useBudgetConfig'
+import { useBudgetTransactions, getTransactionsForItem } from '@/hooks/useBudgetTransactions'
+import { useSprintConfig } from '@/hooks/useSprintConfig'
+import { getCategorySummaries, getPercentUsed } from '@/utils/budgetConfig'
+import { getBurnRateForecast, getSpendForecastData } from '@/utils/budgetForecast'
+import {
+  RECEIPT_MANIFEST_HEADERS,
+  getMissingReceiptCount,
+  getReceiptManifestRows,
+  withLedgerActuals,
+} from '@/utils/budgetLedger'
+import { generateCSV } from '@/utils/csvParser'
+import { createZipArchive } from '@/utils/zipArchive'
 import { format } from 'date-fns'
 
 // Custom hook for handling input with local state
@@ -33,6 +50,284 @@ function useEditableField(initialValue, onSave, type = 'text') {
   return { value, onChange: handleChange, onBlur: handleBlur }
 }
 
+// Budget row component with local state
+// Defined outside BudgetTab so its fields keep focus and typed input when the tab re-renders
+function BudgetRow({ item, transactions, isExpanded, onUpdate, onDelete, onToggleLedger, renderLedger }) {
+  const categoryField = useEditableField(item.category, (value) => 
+    onUpdate(item.id, { category: value })
+  )
+  
+  const itemField = useEditableField(item.item, (value) => 
+    onUpdate(item.id, { item: value })
+  )
+  
+  const budgetedField = useEditableField(item.budgeted || 0, (value) => 
+    onUpdate(item.id, { budgeted: value }), 'number'
+  )
+  
+  const notesField = useEditableField(item.notes || '', (value) => 
+    onUpdate(item.id, { notes: value })
+  )
+
+  const variance = (parseFloat(item.budgeted || 0) - parseFloat(item.actual || 0))
+  const itemTransactions = getTransactionsForItem(transactions, item.id)
+  const missingReceipts = getMissingReceiptCount(itemTransactions)
+
+  return (
+    <>
+      <tr className="border-b border-gray-100 hover:bg-gray-50 transition-colors duration-150">
+        <td className="p-3">
+          <Input
+            {...categoryField}
+            variant="filled"
+            className="text-sm font-medium"
+          />
+        </td>
+        <td className="p-3">
+          <Input
+            {...itemField}
+            variant="filled"
+            className="text-sm"
+          />
+        </td>
+        <td className="p-3">
+          <Input
+            type="number"
+            {...budgetedField}
+            variant="filled"
+            className="text-sm font-medium"
+          />
+        </td>
+        <td className="p-3">
+          <div className="font-medium text-gray-900">${parseFloat(item.actual || 0).toFixed(2)}</div>
+          <button
+            onClick={() => onToggleLedger(item.id)}
+            className="text-xs text-gray-500 hover:text-gray-900"
+            title={isExpanded ? 'Hide transactions' : 'Show transactions'}
+          >
+            🧾 {itemTransactions.length} {isExpanded ? '▾' : '▸'}
+          </button>
+          {missingReceipts > 0 && (
+            <span
+              className="ml-2 text-xs font-medium text-red-600"
+              title={`${missingReceipts} expense${missingReceipts !== 1 ? 's' : ''} without a receipt`}
+            >
+              ⚠ {missingReceipts}
+            </span>
+          )}
+        </td>
+        <td className={`p-3 font-bold text-lg ${variance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          ${variance.toFixed(2)}
+        </td>
+        <td className="p-3">
+          <input
+            type="date"
+            value={item.date || ''}
+            onChange={(e) => onUpdate(item.id, { date: e.target.value })}
+            className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-900 hover:border-gray-400 focus:border-green-600 focus:ring-2 focus:ring-green-500/20 focus:outline-none transition-all"
+          />
+        </td>
+        <td className="p-3">
+          <Input
+            {...notesField}
+            placeholder="Add notes..."
+            variant="filled"
+            className="text-sm"
+          />
+        </td>
+        <td className="p-3">
+          <button
+            onClick={() => onDelete(item.id)}
+            className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded text-sm font-medium transition-all"
+          >
+            Delete
+          </button>
+        </td>
+      </tr>
+      {isExpanded && (
+        <tr className="bg-gray-50/60">
+          <td colSpan="8" className="px-6 py-3">
+            {renderLedger(item)}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+// Mobile Budget Card Component
+function BudgetCard({ item, transactions, onEdit }) {
+  const variance = (parseFloat(item.budgeted || 0) - parseFloat(item.actual || 0))
+  const percentUsed = item.budgeted > 0 ? Math.min((item.actual / item.budgeted) * 100, 100) : 0
+  const missingReceipts = getMissingReceiptCount(getTransactionsForItem(transactions, item.id))
+  
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
+      {/* Header with Category and Date */}
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <div className="font-medium text-gray-900">{item.category}</div>
+          <div className="text-sm text-gray-600">{item.item}</div>
+        </div>
+        <div className="text-sm text-gray-500">
+          {item.date ? format(new Date(item.date), 'MMM d') : 'No date'}
+        </div>
+      </div>
+      
+      {/* Budget vs Actual with Progress Bar */}
+      <div className="mb-3">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="text-gray-600">Budgeted</span>
+          <span className="font-medium">${item.budgeted || 0}</span>
+        </div>
+        <div className="flex justify-between text-sm mb-2">
+          <span className="text-gray-600">Actual</span>
+          <span className="font-medium">${item.actual || 0}</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div 
+            className={`h-2 rounded-full transition-all duration-300 ${
+              percentUsed > 100 ? 'bg-red-600' : percentUsed > 80 ? 'bg-amber-500' : 'bg-green-600'
+            }`}
+            style={{ width: `${percentUsed}%` }}
+          />
+        </div>
+      </div>
+      
+      {/* Variance Highlight */}
+      <div className="bg-gray-50 rounded-lg p-3 mb-3">
+        <div className="text-sm text-gray-600 mb-1">Variance</div>
+        <div className={`text-xl font-bold ${variance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          ${variance.toFixed(2)}
+        </div>
+      </div>
+      
+      {missingReceipts > 0 && (
+        <div className="text-sm font-medium text-red-600 mb-3">
+          ⚠ {missingReceipts} receipt{missingReceipts !== 1 ? 's' : ''} missing
+        </div>
+      )}
+      
+      {/* Notes preview if exists */}
+      {item.notes && (
+        <div className="text-sm text-gray-600 line-clamp-2 mb-3">
+          {item.notes}
+        </div>
+      )}
+      
+      {/* Action button */}
+      <button
+        onClick={() => onEdit(item)}
+        className="w-full py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md text-sm font-medium transition-colors"
+      >
+        View Details
+      </button>
+    </div>
+  )
+}
+
+// Budget Edit Form for Modal
+function BudgetEditForm({ item, onUpdate, onDelete, onClose, renderLedger }) {
+  const categoryField = useEditableField(item.category, (value) =>
+    onUpdate(item.id, { category: value })
+  )
+
+  const itemField = useEditableField(item.item, (value) =>
+    onUpdate(item.id, { item: value })
+  )
+
+  const budgetedField = useEditableField(item.budgeted || 0, (value) =>
+    onUpdate(item.id, { budgeted: value }), 'number'
+  )
+
+  const notesField = useEditableField(item.notes || '', (value) =>
+    onUpdate(item.id, { notes: value })
+  )
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+        <input
+          type="text"
+          {...categoryField}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+      </div>
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Item</label>
+        <input
+          type="text"
+          {...itemField}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+      </div>
+      
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Budgeted</label>
+          <input
+            type="number"
+            {...budgetedField}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Actual</label>
+          <div className="px-3 py-2 border border-gray-200 bg-gray-50 rounded-lg text-gray-900">
+            ${parseFloat(item.actual || 0).toFixed(2)}
+          </div>
+        </div>
+      </div>
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Transactions</label>
+        {renderLedger(item)}
+      </div>
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+        <input
+          type="date"
+          value={item.date || ''}
+          onChange={(e) => onUpdate(item.id, { date: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+      </div>
+      
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+        <textarea
+          {...notesField}
+          placeholder="Add notes..."
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          rows="3"
+        />
+      </div>
+      
+      <div className="flex gap-3 pt-4">
+        <button
+          onClick={() => {
+            onDelete(item.id)
+            onClose()
+          }}
+          className="px-4 py-2 bg-red-50 text-red-600 rounded-lg font-medium hover:bg-red-100 transition-colors"
+        >
+          Delete Item
+        </button>
+        <button
+          onClick={onClose}
+          className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition-colors"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  )
+}
+
 export default function BudgetTab() {
   const supabase = useSupabaseClient()
   const [budgetItems, setBudgetItems] = useState([])
@@ -40,7 +335,23 @@ export default function BudgetTab() {
   const [subscription, setSubscription] = useState(null)
   const [editingItem, setEditingItem] = useState(null)
   const [isModalOpen, setIsModalOpen] = useState(false)
-  const totalBudget = 7000
+  const [showBudgetSettings, setShowBudgetSettings] = useState(false)
+  const [expandedItemIds, setExpandedItemIds] = useState([])
+  const [isExportingReceipts, setIsExportingReceipts] = useState(false)
+  const { totalBudget, categories, saveBudgetConfig } = useBudgetConfig()
+  const {
+    transactions,
+    uploadingReceiptId,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    removeItemReceipts,
+    uploadReceipt,
+    removeReceipt,
+    getReceiptUrl,
+    getReceiptFile,
+  } = useBudgetTransactions()
+  const { sprint } = useSprintConfig()
   const isMobile = useIsMobile()
 
   const fetchBudgetItems = useCallback(async () => {
@@ -154,6 +465,7 @@ export default function BudgetTab() {
       
       // Optimistically remove from state
       setBudgetItems(prev => prev.filter(item => item.id !== id))
+      await removeItemReceipts(id)
       
       toast.success('Budget item deleted')
     } catch (error) {
@@ -162,15 +474,91 @@ export default function BudgetTab() {
     }
   }
 
+  const openEditModal = (item) => {
+    setEditingItem(item)
+    setIsModalOpen(true)
+  }
+
+  const toggleLedger = (itemId) => {
+    setExpandedItemIds(prev => prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId])
+  }
+
+  const renderLedger = (item) => (
+    <TransactionLedger
+      transactions={getTransactionsForItem(transactions, item.id)}
+      uploadingId={uploadingReceiptId}
+      onAdd={(fields) => addTransaction(item.id, fields)}
+      onUpdate={updateTransaction}
+      onDelete={deleteTransaction}
+      onUploadReceipt={uploadReceipt}
+      onRemoveReceipt={removeReceipt}
+      onGetReceiptUrl={getReceiptUrl}
+    />
+  )
+
+  // Zip of every receipt plus a CSV manifest of all transactions for the accountant
+  const exportReceipts = async () => {
+    const manifest = getReceiptManifestRows(budgetItems, transactions)
+    if (manifest.length === 0) {
+      toast.error('No transactions to export')
+      return
+    }
+
+    setIsExportingReceipts(true)
+    try {
+      const files = []
+      const failed = []
+      for (const { transaction, archivePath, row } of manifest) {
+        if (!archivePath) continue
+        try {
+          files.push({ name: archivePath, data: await getReceiptFile(transaction) })
+        } catch (error) {
+          console.error('Error:', error)
+          failed.push(row)
+        }
+      }
+      // Receipts that couldn't be downloaded (e.g. stored in another browser) are flagged in the manifest
+      failed.forEach(row => { row.receipt = `UNAVAILABLE (${row.receipt})` })
+
+      const csv = generateCSV(manifest.map(({ row }) => row), RECEIPT_MANIFEST_HEADERS)
+      const archive = await createZipArchive([{ name: 'manifest.csv', data: csv }, ...files])
+      const url = window.URL.createObjectURL(archive)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `budget-receipts-${format(new Date(), 'yyyy-MM-dd')}.zip`
+      link.click()
+      window.URL.revokeObjectURL(url)
+
+      if (failed.length > 0) {
+        toast.error(`${failed.length} receipt${failed.length !== 1 ? 's' : ''} couldn't be downloaded; see the manifest`)
+      } else {
+        toast.success(`Exported ${files.length} receipt${files.length !== 1 ? 's' : ''}`)
+      }
+    } catch (error) {
+      toast.error('Error exporting receipts')
+      console.error('Error:', error)
+    } finally {
+      setIsExportingReceipts(false)
+    }
+  }
+
+  // Actuals come from the ledger, so they update as soon as a transaction changes
+  const items = withLedgerActuals(budgetItems, transactions)
+
   // Calculate totals
-  const totals = budgetItems.reduce((acc, item) => {
+  const totals = items.reduce((acc, item) => {
     acc.budgeted += parseFloat(item.budgeted || 0)
     acc.actual += parseFloat(item.actual || 0)
     return acc
   }, { budgeted: 0, actual: 0 })
 
   const remaining = totalBudget - totals.actual
-  const percentUsed = totalBudget > 0 ? (totals.actual / totalBudget * 100).toFixed(1) : 0
+  const percentUsed = getPercentUsed(totals.actual, totalBudget).toFixed(1)
+  const categorySummaries = getCategorySummaries(items, categories)
+  const missingReceiptCount = getMissingReceiptCount(transactions)
+  const forecast = getBurnRateForecast(transactions, sprint, totalBudget)
+  const forecastData = getSpendForecastData(transactions, sprint, totalBudget)
+  const itemCategories = [...new Set(budgetItems.map(item => (item.category || '').trim()).filter(Boolean))]
 
   if (loading) {
     return (
@@ -203,251 +591,6 @@ export default function BudgetTab() {
     )
   }
 
-  // Budget row component with local state
-  const BudgetRow = ({ item }) => {
-    const categoryField = useEditableField(item.category, (value) => 
-      updateBudgetItem(item.id, { category: value })
-    )
-    
-    const itemField = useEditableField(item.item, (value) => 
-      updateBudgetItem(item.id, { item: value })
-    )
-    
-    const budgetedField = useEditableField(item.budgeted || 0, (value) => 
-      updateBudgetItem(item.id, { budgeted: value }), 'number'
-    )
-    
-    const actualField = useEditableField(item.actual || 0, (value) => 
-      updateBudgetItem(item.id, { actual: value }), 'number'
-    )
-    
-    const notesField = useEditableField(item.notes || '', (value) => 
-      updateBudgetItem(item.id, { notes: value })
-    )
-
-    const variance = (parseFloat(item.budgeted || 0) - parseFloat(item.actual || 0))
-
-    return (
-      <tr className="border-b border-gray-100 hover:bg-gray-50 transition-colors duration-150">
-        <td className="p-3">
-          <Input
-            {...categoryField}
-            variant="filled"
-            className="text-sm font-medium"
-          />
-        </td>
-        <td className="p-3">
-          <Input
-            {...itemField}
-            variant="filled"
-            className="text-sm"
-          />
-        </td>
-        <td className="p-3">
-          <Input
-            type="number"
-            {...budgetedField}
-            variant="filled"
-            className="text-sm font-medium"
-          />
-        </td>
-        <td className="p-3">
-          <Input
-            type="number"
-            {...actualField}
-            variant="filled"
-            className="text-sm font-medium"
-          />
-        </td>
-        <td className={`p-3 font-bold text-lg ${variance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-          ${variance.toFixed(2)}
-        </td>
-        <td className="p-3">
-          <input
-            type="date"
-            value={item.date || ''}
-            onChange={(e) => updateBudgetItem(item.id, { date: e.target.value })}
-            className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-900 hover:border-gray-400 focus:border-green-600 focus:ring-2 focus:ring-green-500/20 focus:outline-none transition-all"
-          />
-        </td>
-        <td className="p-3">
-          <Input
-            {...notesField}
-            placeholder="Add notes..."
-            variant="filled"
-            className="text-sm"
-          />
-        </td>
-        <td className="p-3">
-          <button
-            onClick={() => deleteBudgetItem(item.id)}
-            className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded text-sm font-medium transition-all"
-          >
-            Delete
-          </button>
-        </td>
-      </tr>
-    )
-  }
-
-  // Mobile Budget Card Component
-  const BudgetCard = ({ item }) => {
-    const variance = (parseFloat(item.budgeted || 0) - parseFloat(item.actual || 0))
-    const percentUsed = item.budgeted > 0 ? Math.min((item.actual / item.budgeted) * 100, 100) : 0
-    
-    const handleEdit = () => {
-      setEditingItem(item)
-      setIsModalOpen(true)
-    }
-    
-    return (
-      <div className="bg-white rounded-lg border border-gray-200 p-4 shadow-sm">
-        {/* Header with Category and Date */}
-        <div className="flex justify-between items-start mb-3">
-          <div>
-            <div className="font-medium text-gray-900">{item.category}</div>
-            <div className="text-sm text-gray-600">{item.item}</div>
-          </div>
-          <div className="text-sm text-gray-500">
-            {item.date ? format(new Date(item.date), 'MMM d') : 'No date'}
-          </div>
-        </div>
-        
-        {/* Budget vs Actual with Progress Bar */}
-        <div className="mb-3">
-          <div className="flex justify-between text-sm mb-1">
-            <span className="text-gray-600">Budgeted</span>
-            <span className="font-medium">${item.budgeted || 0}</span>
-          </div>
-          <div className="flex justify-between text-sm mb-2">
-            <span className="text-gray-600">Actual</span>
-            <span className="font-medium">${item.actual || 0}</span>
-          </div>
-          <div className="w-full bg-gray-200 rounded-full h-2">
-            <div 
-              className={`h-2 rounded-full transition-all duration-300 ${
-                percentUsed > 100 ? 'bg-red-600' : percentUsed > 80 ? 'bg-amber-500' : 'bg-green-600'
-              }`}
-              style={{ width: `${percentUsed}%` }}
-            />
-          </div>
-        </div>
-        
-        {/* Variance Highlight */}
-        <div className="bg-gray-50 rounded-lg p-3 mb-3">
-          <div className="text-sm text-gray-600 mb-1">Variance</div>
-          <div className={`text-xl font-bold ${variance >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-            ${variance.toFixed(2)}
-          </div>
-        </div>
-        
-        {/* Notes preview if exists */}
-        {item.notes && (
-          <div className="text-sm text-gray-600 line-clamp-2 mb-3">
-            {item.notes}
-          </div>
-        )}
-        
-        {/* Action button */}
-        <button
-          onClick={handleEdit}
-          className="w-full py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md text-sm font-medium transition-colors"
-        >
-          View Details
-        </button>
-      </div>
-    )
-  }
-
-  // Budget Edit Form for Modal
-  const BudgetEditForm = ({ item }) => {
-    return (
-      <div className="space-y-4">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-          <input
-            type="text"
-            value={item.category}
-            onChange={(e) => updateBudgetItem(item.id, { category: e.target.value })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-          />
-        </div>
-        
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Item</label>
-          <input
-            type="text"
-            value={item.item}
-            onChange={(e) => updateBudgetItem(item.id, { item: e.target.value })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-          />
-        </div>
-        
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Budgeted</label>
-            <input
-              type="number"
-              value={item.budgeted || ''}
-              onChange={(e) => updateBudgetItem(item.id, { budgeted: parseFloat(e.target.value) || 0 })}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-              placeholder="0"
-            />
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Actual</label>
-            <input
-              type="number"
-              value={item.actual || ''}
-              onChange={(e) => updateBudgetItem(item.id, { actual: parseFloat(e.target.value) || 0 })}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-              placeholder="0"
-            />
-          </div>
-        </div>
-        
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
-          <input
-            type="date"
-            value={item.date || ''}
-            onChange={(e) => updateBudgetItem(item.id, { date: e.target.value })}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-          />
-        </div>
-        
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
-          <textarea
-            value={item.notes || ''}
-            onChange={(e) => updateBudgetItem(item.id, { notes: e.target.value })}
-            placeholder="Add notes..."
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
-            rows="3"
-          />
-        </div>
-        
-        <div className="flex gap-3 pt-4">
-          <button
-            onClick={() => {
-              deleteBudgetItem(item.id)
-              setIsModalOpen(false)
-            }}
-            className="px-4 py-2 bg-red-50 text-red-600 rounded-lg font-medium hover:bg-red-100 transition-colors"
-          >
-            Delete Item
-          </button>
-          <button
-            onClick={() => setIsModalOpen(false)}
-            className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition-colors"
-          >
-            Done
-          </button>
-        </div>
-      </div>
-    )
-  }
-
   return (
     <div>
       <div className="flex justify-between items-center mb-6">
@@ -461,6 +604,18 @@ export default function BudgetTab() {
               {subscription ? 'Real-time sync active' : 'Connecting...'}
             </span>
           </div>
+          <Button
+            variant="secondary"
+            size={isMobile ? 'sm' : 'md'}
+            onClick={exportReceipts}
+            disabled={isExportingReceipts}
+            title="Download every receipt with a CSV manifest"
+          >
+            {isExportingReceipts ? 'Exporting...' : '🧾 Export receipts'}
+            {missingReceiptCount > 0 && (
+              <span className="ml-2 text-xs font-medium text-red-600">⚠ {missingReceiptCount} missing</span>
+            )}
+          </Button>
           {!isMobile && (
             <Button onClick={addBudgetItem}>
               + Add Budget Item
@@ -475,6 +630,12 @@ export default function BudgetTab() {
           <div className="bg-white p-4 md:p-6 rounded-lg shadow-sm text-center">
             <div className="text-gray-600 text-xs md:text-sm font-medium mb-1 md:mb-2">Total Budget</div>
             <div className="text-xl md:text-3xl font-bold text-gray-900">${totalBudget.toLocaleString()}</div>
+            <button
+              onClick={() => setShowBudgetSettings(true)}
+              className="mt-1 md:mt-2 text-xs md:text-sm text-green-700 hover:text-green-800 font-medium"
+            >
+              ✏️ Edit budget
+            </button>
           </div>
           <div className="bg-white p-4 md:p-6 rounded-lg shadow-sm text-center">
             <div className="text-gray-600 text-xs md:text-sm font-medium mb-1 md:mb-2">Spent</div>
@@ -499,15 +660,21 @@ export default function BudgetTab() {
             </div>
           </div>
         </div>
+        
+        {/* Category Allocations */}
+        <CategoryBreakdown summaries={categorySummaries} onEdit={() => setShowBudgetSettings(true)} />
       </div>
 
+      {/* Burn-Rate Forecast */}
+      <BurnRateForecast forecast={forecast} data={forecastData} totalBudget={totalBudget} />
+
       {/* Budget Items */}
       {isMobile ? (
         /* Mobile View - Cards */
         <div>
           <div className="space-y-3 mb-4">
-            {budgetItems.map((item) => (
-              <BudgetCard key={item.id} item={item} />
+            {items.map((item) => (
+              <BudgetCard key={item.id} item={item} transactions={transactions} onEdit={openEditModal} />
             ))}
           </div>
           
@@ -551,8 +718,17 @@ export default function BudgetTab() {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {budgetItems.map((item) => (
-                  <BudgetRow key={item.id} item={item} />
+                {items.map((item) => (
+                  <BudgetRow
+                    key={item.id}
+                    item={item}
+                    transactions={transactions}
+                    isExpanded={expandedItemIds.includes(item.id)}
+                    onUpdate={updateBudgetItem}
+                    onDelete={deleteBudgetItem}
+                    onToggleLedger={toggleLedger}
+                    renderLedger={renderLedger}
+                  />
                 ))}
               </tbody>
               <tfoot>
@@ -571,6 +747,26 @@ export default function BudgetTab() {
         </div>
       )}
       
+      {/* Budget Settings Modal */}
+      <Modal
+        isOpen={showBudgetSettings}
+        onClose={() => setShowBudgetSettings(false)}
+        title="Budget & Category Allocations"
+      >
+        {showBudgetSettings && (
+          <BudgetSettingsForm
+            totalBudget={totalBudget}
+            categories={categories}
+            itemCategories={itemCategories}
+            onSave={async (config) => {
+              await saveBudgetConfig(config)
+              setShowBudgetSettings(false)
+            }}
+            onCancel={() => setShowBudgetSettings(false)}
+          />
+        )}
+      </Modal>
+      
       {/* Edit Modal */}
       <Modal
         isOpen={isModalOpen}
@@ -580,7 +776,15 @@ export default function BudgetTab() {
         }}
         title="Edit Budget Item"
       >
-        {editingItem && <BudgetEditForm item={editingItem} />}
+        {editingItem && (
+          <BudgetEditForm
+            item={items.find(item => item.id === editingItem.id) || editingItem}
+            onUpdate={updateBudgetItem}
+            onDelete={deleteBudgetItem}
+            onClose={() => setIsModalOpen(false)}
+            renderLedger={renderLedger}
+          />
+        )}
       </Modal>
     </div>
   )
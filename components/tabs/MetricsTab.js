@@ -8,9 +8,17 @@ import {
   EnhancedRevenueChart, 
   EnhancedUnitsChart, 
   EnhancedMetricCard,
-  ConversionFunnelChart 
+  ConversionFunnelChart,
+  BurndownChart,
+  VelocityChart
 } from '@/components/charts/EnhancedCharts'
 import { MetricsPageSkeleton } from '@/components/ui/EnhancedSkeleton'
+import ProfitLossReport from '@/components/metrics/ProfitLossReport'
+import { useSprintConfig } from '@/hooks/useSprintConfig'
+import { useBudgetConfig } from '@/hooks/useBudgetConfig'
+import { useBudgetTransactions } from '@/hooks/useBudgetTransactions'
+import { getBurndownData, getVelocityData, getAverageVelocity } from '@/utils/sprintProgress'
+import { getUnitCost, getWeeklyProfitLoss } from '@/utils/profitLoss'
 
 // Custom hook for handling input with local state
 function useEditableField(initialValue, onSave, type = 'text') {
@@ -52,6 +60,12 @@ export default function MetricsTab() {
   const [partnerships, setPartnerships] = useState([])
   const [tasks, setTasks] = useState([])
   const [contacts, setContacts] = useState([])
+  const [campaigns, setCampaigns] = useState([])
+  const [inventoryItems, setInventoryItems] = useState([])
+  const [budgetItems, setBudgetItems] = useState([])
+  const { sprint } = useSprintConfig()
+  const { categories: budgetCategories } = useBudgetConfig()
+  const { transactions } = useBudgetTransactions()
   
   // Calculate aggregated metrics
   const aggregatedMetrics = dailyMetrics.reduce((acc, metric) => {
@@ -84,6 +98,21 @@ export default function MetricsTab() {
   const totalTasks = tasks.length
   const taskCompletionRate = totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(1) : 0
   const totalContacts = contacts.length
+  
+  // Sprint progress over time (needs a sprint start date)
+  const burndownData = getBurndownData(tasks, sprint)
+  const velocityData = getVelocityData(tasks, sprint)
+  const averageVelocity = getAverageVelocity(velocityData, sprint)
+
+  // Weekly P&L from revenue, inventory costs, campaign spend and the budget ledger
+  const profitLossRows = getWeeklyProfitLoss({
+    metrics: dailyMetrics,
+    campaigns,
+    inventoryItems,
+    transactions,
+    budgetItems,
+    budgetCategories,
+  })
 
   const fetchDailyMetrics = useCallback(async () => {
     try {
@@ -123,6 +152,32 @@ export default function MetricsTab() {
         setContacts(contactsData || [])
       }
       
+      // Fetch marketing campaigns (spend) and inventory (unit costs) for the P&L
+      const { data: campaignsData, error: campaignsError } = await supabase
+        .from('marketing_campaigns')
+        .select('*')
+      
+      if (!campaignsError) {
+        setCampaigns(campaignsData || [])
+      }
+      
+      const { data: inventoryData, error: inventoryError } = await supabase
+        .from('inventory_items')
+        .select('*')
+      
+      if (!inventoryError) {
+        setInventoryItems(inventoryData || [])
+      }
+      
+      // Budget items map each ledger transaction to its category's P&L treatment
+      const { data: budgetItemsData, error: budgetItemsError } = await supabase
+        .from('budget_items')
+        .select('id, category')
+      
+      if (!budgetItemsError) {
+        setBudgetItems(budgetItemsData || [])
+      }
+      
       // Prepare chart data
       const chartData = (metricsData || []).map(metric => ({
         date: format(new Date(metric.date), 'MMM dd'),
@@ -188,6 +243,48 @@ export default function MetricsTab() {
           }
         }
       )
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'marketing_campaigns' },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setCampaigns(prev => [...prev, payload.new])
+          } else if (payload.eventType === 'UPDATE') {
+            setCampaigns(prev => prev.map(item => 
+              item.id === payload.new.id ? payload.new : item
+            ))
+          } else if (payload.eventType === 'DELETE') {
+            setCampaigns(prev => prev.filter(item => item.id !== payload.old.id))
+          }
+        }
+      )
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'inventory_items' },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setInventoryItems(prev => [...prev, payload.new])
+          } else if (payload.eventType === 'UPDATE') {
+            setInventoryItems(prev => prev.map(item => 
+              item.id === payload.new.id ? payload.new : item
+            ))
+          } else if (payload.eventType === 'DELETE') {
+            setInventoryItems(prev => prev.filter(item => item.id !== payload.old.id))
+          }
+        }
+      )
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'budget_items' },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            setBudgetItems(prev => [...prev, payload.new])
+          } else if (payload.eventType === 'UPDATE') {
+            setBudgetItems(prev => prev.map(item => 
+              item.id === payload.new.id ? payload.new : item
+            ))
+          } else if (payload.eventType === 'DELETE') {
+            setBudgetItems(prev => prev.filter(item => item.id !== payload.old.id))
+          }
+        }
+      )
       .subscribe((status) => {
         console.log('Metrics subscription status:', status)
       })
@@ -436,6 +533,23 @@ export default function MetricsTab() {
         <EnhancedUnitsChart data={chartData} />
       </div>
       
+      {/* Sprint Burndown and Velocity */}
+      {sprint.start_date ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <BurndownChart data={burndownData} />
+          <VelocityChart data={velocityData} average={averageVelocity} />
+        </div>
+      ) : (
+        <div className="bg-gray-50 border border-gray-200 rounded-xl p-6 mb-8 text-sm text-gray-600">
+          Set a sprint start date in the Tasks tab&rsquo;s ⚙️ Sprint Settings to see the burndown and velocity charts.
+        </div>
+      )}
+      
+      {/* Profit & Loss */}
+      <div className="mb-8">
+        <ProfitLossReport rows={profitLossRows} unitCost={getUnitCost(inventoryItems)} />
+      </div>
+      
       {/* Conversion Funnel */}
       <div className="mb-8">
         <ConversionFunnelChart 
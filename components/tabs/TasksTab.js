@@ -1,19 +1,49 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
+import { useRouter } from 'next/router'
 import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
 import toast from 'react-hot-toast'
 import Button from '@/components/ui/Button'
-import Input from '@/components/ui/Input'
 import Select from '@/components/ui/Select'
 import Badge from '@/components/ui/Badge'
 import PriorityDot from '@/components/ui/PriorityDot'
 import Modal from '@/components/ui/Modal'
+import Avatar from '@/components/ui/Avatar'
+import Highlight from '@/components/ui/Highlight'
+import HighlightInput from '@/components/ui/HighlightInput'
 import { TableSkeleton } from '@/components/ui/Skeleton'
 import CSVUploadModal from '@/components/ui/CSVUploadModal'
+import { showUndoToast } from '@/components/ui/UndoToast'
+import { createTaskCSVExport, downloadCSV } from '@/utils/csvParser'
+import SprintSettingsForm from '@/components/tasks/SprintSettingsForm'
+import TaskTimeline from '@/components/tasks/TaskTimeline'
+import TaskBoard from '@/components/tasks/TaskBoard'
+import SubtaskChecklist from '@/components/tasks/SubtaskChecklist'
+import TaskCommentsPanel from '@/components/tasks/TaskCommentsPanel'
+import TaskAttachments from '@/components/tasks/TaskAttachments'
+import TaskTimer from '@/components/tasks/TaskTimer'
+import TimeSummary from '@/components/tasks/TimeSummary'
+import TaskTags from '@/components/tasks/TaskTags'
+import TagInput from '@/components/tasks/TagInput'
+import SaveViewForm from '@/components/tasks/SaveViewForm'
+import TaskAgenda from '@/components/tasks/TaskAgenda'
+import SprintTemplates from '@/components/tasks/SprintTemplates'
+import KeyboardShortcutsHelp from '@/components/tasks/KeyboardShortcutsHelp'
 import { useIsMobile } from '@/hooks/useMediaQuery'
-import { format } from 'date-fns'
+import { useSprintConfig } from '@/hooks/useSprintConfig'
+import { useProfiles } from '@/hooks/useProfiles'
+import { useSubtasks, getSubtasksForTask, getSubtaskProgress } from '@/hooks/useSubtasks'
+import { useUndoHistory } from '@/hooks/useUndoHistory'
+import { useTaskComments, getCommentsForTask } from '@/hooks/useTaskComments'
+import { useTaskAttachments, getAttachmentsForTask } from '@/hooks/useTaskAttachments'
+import { useTimeEntries } from '@/hooks/useTimeEntries'
+import { useTaskViews } from '@/hooks/useTaskViews'
+import { useSprintTemplates } from '@/hooks/useSprintTemplates'
+import { useKeyboardShortcuts } from '@/hooks/useKeyboardShortcuts'
+import { format, parseISO } from 'date-fns'
 import {
   DndContext,
   closestCenter,
+  rectIntersection,
   KeyboardSensor,
   PointerSensor,
   useSensor,
@@ -21,13 +51,36 @@ import {
   DragOverlay,
 } from '@dnd-kit/core'
 import {
-  arrayMove,
   SortableContext,
   sortableKeyboardCoordinates,
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable'
 import { DraggableTaskRow, DraggableTaskCard } from '../tasks/DraggableTask'
 import { createDebouncedFunction } from '@/utils/debounce'
+import {
+  getBlockingTasks,
+  getDependentTaskIds,
+  getPredecessors,
+  findScheduleConflicts,
+  formatTaskNames,
+  compareSchedule,
+} from '@/utils/taskDependencies'
+import { getSprintWeeks, getDefaultDayLabel } from '@/utils/sprintConfig'
+import { STARTER_TEMPLATE, createSprintTemplate, getTemplateBaseDate, instantiateSprintTemplate } from '@/utils/sprintTemplates'
+import { computeTaskMove, applyTaskPlacements } from '@/utils/taskOrdering'
+import { formatHours, getTrackedHours, getWeeklyTimeSummary } from '@/utils/timeTracking'
+import { getAllTags } from '@/utils/taskTags'
+import { parseSearchQuery, matchesSearch, getHighlightTerms } from '@/utils/taskSearch'
+import { getDueAgenda, isTaskOverdue, formatDueLabel } from '@/utils/taskDueDates'
+import { TASK_SORT_OPTIONS, DEFAULT_VIEW_STATE, sortTasks, getViewState, isViewModified } from '@/utils/taskViews'
+import { TASK_STATUSES, getStatusLabel, getStatusVariant, withSyncedStatus } from '@/utils/taskStatus'
+import {
+  RECURRENCE_OPTIONS,
+  SERIES_FIELDS,
+  buildNextOccurrence,
+  describeRecurrence,
+  getFutureOccurrences,
+} from '@/utils/recurrence'
 
 // Custom hook for handling input with local state and debounced saving
 function useEditableField(initialValue, onSave, delay = 800) {
@@ -96,7 +149,60 @@ export default function TasksTab() {
   const [activeId, setActiveId] = useState(null)
   const [connectionStatus, setConnectionStatus] = useState('connecting')
   const [pendingUpdates, setPendingUpdates] = useState(new Set())
+  const [showSprintSettings, setShowSprintSettings] = useState(false)
+  const [layout, setLayout] = useState('list')
+  const [myTasksOnly, setMyTasksOnly] = useState(false)
   const isMobile = useIsMobile()
+  const { sprint, saveSprint } = useSprintConfig()
+  const profiles = useProfiles()
+  const { subtasks, addSubtask, updateSubtask, deleteSubtask, moveSubtask, copySubtasks, restoreSubtasks } = useSubtasks()
+  const [seriesEditScope, setSeriesEditScope] = useState('occurrence')
+  const undoHistory = useUndoHistory()
+  const { comments, addComment, deleteComment, restoreComments } = useTaskComments()
+  const [commentsTaskId, setCommentsTaskId] = useState(null)
+  const {
+    attachments,
+    uploadingTaskId,
+    uploadAttachment,
+    getAttachmentUrl,
+    deleteAttachment,
+    removeTaskAttachments,
+  } = useTaskAttachments()
+  const { timeEntries, runningEntry, startTimer, stopTimer, restoreTimeEntries } = useTimeEntries()
+  const [showTimeSummary, setShowTimeSummary] = useState(false)
+  const router = useRouter()
+  const [sort, setSort] = useState(DEFAULT_VIEW_STATE.sort)
+  const { views, createView, updateView, deleteView, restoreView } = useTaskViews()
+  const [showSaveView, setShowSaveView] = useState(false)
+  const [showAgenda, setShowAgenda] = useState(false)
+  const { templates, saveTemplate, deleteTemplate, restoreTemplate } = useSprintTemplates()
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [focusedTaskId, setFocusedTaskId] = useState(null)
+  const [deleteConfirmTask, setDeleteConfirmTask] = useState(null)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const appliedViewRef = useRef(null)
+
+  // The active saved view lives in the URL (?view=<id>) so it can be bookmarked and shared
+  const activeViewId = typeof router.query.view === 'string' ? router.query.view : null
+  const activeView = views.find(v => v.id === activeViewId) || null
+  const viewState = { query: searchQuery, my_tasks_only: myTasksOnly, sort, layout }
+
+  // Apply a view once when it's selected or opened from a link; later tweaks aren't overwritten
+  useEffect(() => {
+    if (!activeView || appliedViewRef.current === activeView.id) return
+    appliedViewRef.current = activeView.id
+    const state = getViewState(activeView)
+    setSearchQuery(state.query)
+    setMyTasksOnly(state.my_tasks_only)
+    setSort(state.sort)
+    setLayout(state.layout)
+  }, [activeView])
+  
+  // Undo/redo callbacks outlive the render that created them, so they read tasks through a ref
+  const tasksRef = useRef(tasks)
+  tasksRef.current = tasks
+  
+  const getAssignee = (task) => profiles.find(p => p.id === task.assignee_id)
   
   // Setup drag and drop sensors
   const sensors = useSensors(
@@ -222,49 +328,40 @@ export default function TasksTab() {
       }
       
       toast.success('Task added!')
+      return data
     } catch (error) {
       toast.error('Error adding task')
       console.error('Error:', error)
+      return null
     }
   }
 
-  const updateTask = async (id, updates, skipOptimistic = false) => {
+  const updateTask = async (id, updates, skipOptimistic = false, recordHistory = true) => {
     try {
       // Add to pending updates to prevent echo from real-time
       setPendingUpdates(prev => new Set(prev).add(id))
       
+      // Keep status and completed in step with each other
+      const finalUpdates = withSyncedStatus(updates, tasksRef.current.find(t => t.id === id))
+      
+      if (recordHistory) {
+        recordTaskEdits([{ id, updates: finalUpdates }])
+      }
+      
       // Optimistic update - update local state immediately
       if (!skipOptimistic) {
         setTasks(prev => prev.map(task => 
-          task.id === id 
-            ? { 
-                ...task, 
-                ...updates,
-                // If updating completed status, also update status field
-                ...(updates.completed !== undefined ? {
-                  status: updates.completed ? 'completed' : 'pending'
-                } : {})
-              } 
-            : task
+          task.id === id ? { ...task, ...finalUpdates } : task
         ))
       }
       
-      // Prepare final updates object
-      const finalUpdates = {
-        ...updates,
-        // Include status update if completed is being changed
-        ...(updates.completed !== undefined ? {
-          status: updates.completed ? 'completed' : 'pending'
-        } : {})
-      }
-      
       const { error } = await supabase
         .from('tasks')
         .update(finalUpdates)
         .eq('id', id)
 
       if (error) throw error
-      
+      return true
     } catch (error) {
       // Rollback optimistic update on error
       if (!skipOptimistic) {
@@ -280,25 +377,273 @@ export default function TasksTab() {
       
       toast.error('Error updating task')
       console.error('Error:', error)
+      return false
     }
   }
 
-  const deleteTask = async (id) => {
+  // Current values of the fields about to change, in the same { id, updates } shape
+  // A status change also captures completed_at so undo restores the original completion time
+  const getPreviousValues = (changes) => changes
+    .map(({ id, updates }) => {
+      const task = tasksRef.current.find(t => t.id === id)
+      const fields = Object.keys(updates)
+      if (('status' in updates || 'completed' in updates) && !fields.includes('completed_at')) {
+        fields.push('completed_at')
+      }
+      return task && {
+        id,
+        updates: Object.fromEntries(fields.map(field => [field, task[field] ?? null])),
+      }
+    })
+    .filter(Boolean)
+
+  // Rejects if any edit fails so undo/redo keeps the entry for another try
+  const applyTaskEdits = async (changes) => {
+    const saved = await Promise.all(changes.map(({ id, updates }) => updateTask(id, updates, false, false)))
+    if (saved.includes(false)) throw new Error('Some task edits were not saved')
+  }
+
+  // Push an undoable entry for field edits, skipping edits that don't change anything
+  // Edits sharing a mergeKey (e.g. typing in one field) collapse into the previous entry
+  const recordTaskEdits = (changes, label = 'task edit', mergeKey = null) => {
+    const previous = getPreviousValues(changes)
+    const hasChanges = previous.some(({ id, updates }) => {
+      const next = changes.find(c => c.id === id).updates
+      return Object.keys(next).some(field => JSON.stringify(updates[field]) !== JSON.stringify(next[field] ?? null))
+    })
+    if (!hasChanges) return null
+    
+    return undoHistory.record({
+      label,
+      mergeKey,
+      undo: () => applyTaskEdits(previous),
+      redo: () => applyTaskEdits(changes),
+    })
+  }
+
+  // Apply edits to several tasks as a single undoable step
+  const updateTasks = (changes, label, mergeKey) => {
+    recordTaskEdits(changes.map(({ id, updates }) => ({
+      id,
+      updates: withSyncedStatus(updates, tasksRef.current.find(t => t.id === id)),
+    })), label, mergeKey)
+    changes.forEach(({ id, updates }) => updateTask(id, updates, false, false))
+  }
+
+  // Warn (but don't prevent) when completing a task whose predecessors aren't done
+  const warnIfBlocked = (task) => {
+    const blockers = getBlockingTasks(task, tasks)
+    if (blockers.length > 0) {
+      toast(`"${task.task}" is blocked by ${formatTaskNames(blockers)}`, { icon: '⚠️' })
+    }
+  }
+
+  // Completing an occurrence of a recurring task schedules the next one
+  // Resolves to { task, subtasks } for the new occurrence, or null if none was scheduled
+  const spawnNextOccurrence = async (task) => {
+    const nextTask = buildNextOccurrence(task, tasks, sprint)
+    if (!nextTask) {
+      toast(`That was the last "${task.task}" of the sprint`, { icon: '🔁' })
+      return null
+    }
+    
+    // Skip if the series already has an open occurrence, or this next one was already done
+    // (earlier, completed occurrences don't count)
+    const alreadyScheduled = tasks.some(t =>
+      t.id !== task.id &&
+      t.series_id === nextTask.series_id &&
+      (!t.completed || (compareSchedule(t, task) > 0 && compareSchedule(t, nextTask) === 0))
+    )
+    if (alreadyScheduled) {
+      toast(`The next "${task.task}" is already scheduled`, { icon: '🔁' })
+      return null
+    }
+    
+    try {
+      const { data, error } = await supabase
+        .from('tasks')
+        .insert([nextTask])
+        .select()
+        .single()
+
+      if (error) throw error
+      
+      setTasks(prev => prev.some(t => t.id === data.id) ? prev : [...prev, data])
+      const copiedSubtasks = await copySubtasks(task.id, data.id)
+      
+      toast.success(`Next "${task.task}" scheduled for ${nextTask.day}`)
+      return { task: data, subtasks: copiedSubtasks }
+    } catch (error) {
+      toast.error('Error scheduling next occurrence')
+      console.error('Error:', error)
+      return null
+    }
+  }
+
+  // Completing a recurring task and scheduling its next occurrence is one undo step:
+  // undo removes the new occurrence, redo puts it back with its checklist
+  const completeRecurringTask = (task, updates) => {
+    const changes = [{ id: task.id, updates: withSyncedStatus(updates, task) }]
+    const previous = getPreviousValues(changes)
+    updateTask(task.id, updates, false, false)
+    const spawning = spawnNextOccurrence(task)
+    
+    undoHistory.record({
+      label: 'task completion',
+      undo: async () => {
+        const next = await spawning
+        if (next) await deleteTasks([next.task.id], false)
+        await applyTaskEdits(previous)
+      },
+      redo: async () => {
+        const next = await spawning
+        await applyTaskEdits(changes)
+        if (next) await restoreTasks([next.task], { subtasks: next.subtasks })
+      },
+    })
+  }
+
+  const setTaskCompleted = (task, completed) => {
+    if (completed) warnIfBlocked(task)
+    if (completed && !task.completed && task.recurrence_rule) {
+      completeRecurringTask(task, { completed })
+    } else {
+      updateTask(task.id, { completed })
+    }
+  }
+
+  const setTaskStatus = (task, status) => {
+    if (status === 'completed') warnIfBlocked(task)
+    if (status === 'completed' && !task.completed && task.recurrence_rule) {
+      completeRecurringTask(task, { status })
+    } else {
+      updateTask(task.id, { status })
+    }
+  }
+
+  // Edits from TaskEditForm: series fields go to every open occurrence when editing the whole series
+  // Keystrokes in a text field are one undo step per field
+  const updateFromForm = (task, updates, isTyping = false) => {
+    const seriesUpdates = Object.fromEntries(
+      Object.entries(updates).filter(([field]) => SERIES_FIELDS.includes(field))
+    )
+    const changes = [{ id: task.id, updates }]
+    
+    if (task.series_id && seriesEditScope === 'series' && Object.keys(seriesUpdates).length > 0) {
+      getFutureOccurrences(task, tasks)
+        .filter(t => t.id !== task.id)
+        .forEach(t => changes.push({ id: t.id, updates: seriesUpdates }))
+    }
+    const mergeKey = isTyping ? `${task.id}:${Object.keys(updates).join()}:${seriesEditScope}` : null
+    updateTasks(changes, changes.length > 1 ? 'series edit' : 'task edit', mergeKey)
+  }
+
+  // A rule change always applies to the open occurrences so the series repeats consistently
+  const setRecurrence = (task, rule, interval = task.recurrence_interval || 1) => {
+    const updates = {
+      recurrence_rule: rule || null,
+      recurrence_interval: rule === 'interval' ? Math.max(parseInt(interval) || 1, 1) : 1,
+      series_id: task.series_id || (rule ? task.id : null),
+    }
+    updateTasks(getFutureOccurrences(task, tasks).map(t => ({ id: t.id, updates })), 'repeat change')
+  }
+
+  // Complete the parent task once every checklist item is done (unless the task opts out)
+  const toggleSubtask = (subtask, completed) => {
+    updateSubtask(subtask.id, { completed })
+    
+    const task = tasks.find(t => t.id === subtask.task_id)
+    if (!completed || !task || task.completed || task.auto_complete_subtasks === false) {
+      return
+    }
+    
+    const remaining = subtasks.filter(s => s.task_id === task.id && s.id !== subtask.id && !s.completed)
+    if (remaining.length === 0) {
+      setTaskStatus(task, 'completed')
+      toast.success(`All subtasks done, "${task.task}" completed`)
+    }
+  }
+
+  // Re-insert tasks with their original ids and related rows (undoing a delete, redoing an import)
+  // Attachments aren't restored: their files are removed along with the task
+  const restoreTasks = async (rows, related = {}) => {
+    const { data, error } = await supabase
+      .from('tasks')
+      .upsert(rows)
+      .select()
+
+    if (error) throw error
+    setTasks(prev => [...prev.filter(t => !data.some(d => d.id === t.id)), ...data])
+    await restoreSubtasks(related.subtasks || [])
+    await restoreComments(related.comments || [])
+    await restoreTimeEntries(related.timeEntries || [])
+  }
+
+  const deleteTasks = async (ids, recordHistory = true) => {
+    const removed = tasksRef.current.filter(task => ids.includes(task.id))
+    const dependents = tasksRef.current.filter(task =>
+      !ids.includes(task.id) && (task.depends_on || []).some(depId => ids.includes(depId))
+    )
+    const belongsToRemoved = row => ids.includes(row.task_id)
+    const related = {
+      subtasks: subtasks.filter(belongsToRemoved),
+      comments: comments.filter(belongsToRemoved),
+      timeEntries: timeEntries.filter(belongsToRemoved),
+    }
+    const attachmentCount = attachments.filter(belongsToRemoved).length
+    
     try {
       const { error } = await supabase
         .from('tasks')
         .delete()
-        .eq('id', id)
+        .in('id', ids)
 
       if (error) throw error
       
       // Optimistically remove from state
-      setTasks(prev => prev.filter(task => task.id !== id))
+      setTasks(prev => prev.filter(task => !ids.includes(task.id)))
+      
+      // Drop the deleted tasks from any dependency lists that reference them
+      dependents.forEach(task => updateTask(task.id, {
+        depends_on: task.depends_on.filter(depId => !ids.includes(depId))
+      }, false, false))
+      
+      // Attachment files are deleted for good rather than left behind in storage
+      await removeTaskAttachments(ids)
       
-      toast.success('Task deleted')
+      if (recordHistory) {
+        const label = ids.length === 1 ? 'task delete' : `delete of ${ids.length} tasks`
+        const entry = undoHistory.record({
+          label,
+          undo: async () => {
+            await restoreTasks(removed, related)
+            await applyTaskEdits(dependents.map(task => ({ id: task.id, updates: { depends_on: task.depends_on } })))
+          },
+          redo: () => deleteTasks(ids, false),
+        })
+        const message = ids.length === 1 ? 'Task deleted' : `${ids.length} tasks deleted`
+        const attachmentNote = attachmentCount > 0
+          ? ` (${attachmentCount} attachment${attachmentCount !== 1 ? 's' : ''} removed for good)`
+          : ''
+        showUndoToast(message + attachmentNote, () => undoHistory.undoEntry(entry))
+      }
     } catch (error) {
       toast.error('Error deleting task')
       console.error('Error:', error)
+      // Let undo/redo report the failure too
+      if (!recordHistory) throw error
+    }
+  }
+  
+  // Optimistically apply placements, then write every position change in one atomic call
+  const reorderTasks = async (placements) => {
+    setTasks(prev => applyTaskPlacements(prev, placements))
+    
+    const { error } = await supabase.rpc('reorder_tasks', { p_updates: placements })
+    if (error) {
+      // Revert on error
+      fetchTasks()
+      throw error
     }
   }
   
@@ -314,91 +659,82 @@ export default function TasksTab() {
       return
     }
     
+    // Board layout: dropping on a column changes the task's status
+    if (layout === 'board') {
+      const task = tasks.find(t => t.id === active.id)
+      const status = over.data.current?.status
+      if (task && status && task.status !== status) {
+        setTaskStatus(task, status)
+      }
+      setActiveId(null)
+      return
+    }
+    
     // Find the tasks and their contexts
     const activeTask = tasks.find(t => t.id === active.id)
     const overTask = tasks.find(t => t.id === over.id)
     
-    if (!activeTask || !overTask) {
-      setActiveId(null)
+    if (activeTask && overTask) {
+      await moveTask(activeTask, overTask)
+    }
+    
+    setActiveId(null)
+  }
+
+  // Put activeTask where overTask is (same or another day), as one undoable step
+  const moveTask = async (activeTask, overTask) => {
+    const isCrossDay = activeTask.week !== overTask.week || activeTask.day !== overTask.day
+    
+    // Rows are ordered by the active sort, so a manual reorder wouldn't show
+    if (!isCrossDay && sort !== 'manual') {
+      toast('Switch to "Sort: Schedule order" to reorder tasks within a day', { icon: 'ℹ️' })
       return
     }
     
-    // If moving within the same day
-    if (activeTask.week === overTask.week && activeTask.day === overTask.day) {
-      const dayTasks = tasks
-        .filter(t => t.week === activeTask.week && t.day === activeTask.day)
-        .sort((a, b) => (a.position || 0) - (b.position || 0))
-      
-      const oldIndex = dayTasks.findIndex(t => t.id === active.id)
-      const newIndex = dayTasks.findIndex(t => t.id === over.id)
+    // Warn if the move schedules the task ahead of one of its predecessors
+    if (isCrossDay) {
+      const conflicts = findScheduleConflicts(activeTask, overTask, tasks)
+      if (conflicts.length > 0) {
+        toast(`"${activeTask.task}" is now scheduled before its predecessor ${formatTaskNames(conflicts)}`, { icon: '⚠️' })
+      }
+    }
+    
+    const placements = computeTaskMove(tasks, activeTask, overTask)
+    if (placements.length > 0) {
+      const previous = placements.map(({ id }) => {
+        const task = tasks.find(t => t.id === id)
+        return { id, week: task.week, day: task.day, position: task.position || 0 }
+      })
       
-      if (oldIndex !== newIndex) {
-        const newDayTasks = arrayMove(dayTasks, oldIndex, newIndex)
-        
-        // Update positions
-        const updates = newDayTasks.map((task, index) => ({
-          id: task.id,
-          position: index
-        }))
+      try {
+        await reorderTasks(placements)
         
-        // Optimistically update UI
-        setTasks(prevTasks => {
-          const otherTasks = prevTasks.filter(
-            t => !(t.week === activeTask.week && t.day === activeTask.day)
-          )
-          return [...otherTasks, ...newDayTasks.map((t, i) => ({ ...t, position: i }))]
+        const entry = undoHistory.record({
+          label: isCrossDay ? 'task move' : 'task reorder',
+          undo: () => reorderTasks(previous),
+          redo: () => reorderTasks(placements),
         })
         
-        // Update in database
-        try {
-          for (const update of updates) {
-            await supabase
-              .from('tasks')
-              .update({ position: update.position })
-              .eq('id', update.id)
-          }
-        } catch (error) {
-          toast.error('Error updating task order')
-          console.error('Error:', error)
-          // Revert on error
-          fetchTasks()
+        if (isCrossDay) {
+          showUndoToast('Task moved to ' + overTask.day, () => undoHistory.undoEntry(entry))
         }
-      }
-    } else {
-      // Moving to a different day - update week/day and reset position
-      try {
-        await supabase
-          .from('tasks')
-          .update({ 
-            week: overTask.week, 
-            day: overTask.day,
-            position: overTask.position + 1 
-          })
-          .eq('id', activeTask.id)
-        
-        toast.success('Task moved to ' + overTask.day)
-        fetchTasks() // Refresh to get updated positions
       } catch (error) {
-        toast.error('Error moving task')
+        toast.error(isCrossDay ? 'Error moving task' : 'Error updating task order')
         console.error('Error:', error)
       }
     }
-    
-    setActiveId(null)
   }
 
-  // Filter tasks based on search query
-  const filteredTasks = searchQuery.trim() === '' 
-    ? tasks 
-    : tasks.filter(task => {
-        const searchLower = searchQuery.toLowerCase()
-        return (
-          task.task.toLowerCase().includes(searchLower) ||
-          (task.notes && task.notes.toLowerCase().includes(searchLower)) ||
-          task.priority.toLowerCase().includes(searchLower) ||
-          task.status.toLowerCase().includes(searchLower)
-        )
-      })
+  // Filter tasks based on search query and the "My tasks" toggle
+  // Structured search, e.g. priority:high week:2 due:<2026-11-01 "packaging" -#legal (see utils/taskSearch)
+  const parsedSearch = parseSearchQuery(searchQuery)
+  const highlightTerms = getHighlightTerms(parsedSearch)
+  const filteredTasks = sortTasks(tasks.filter(task => {
+    if (myTasksOnly && task.assignee_id !== user?.id) {
+      return false
+    }
+    return matchesSearch(task, parsedSearch, { tasks, getAssignee, currentUserId: user?.id })
+  }), sort)
 
   // Group tasks by week and day
   const groupedTasks = filteredTasks.reduce((acc, task) => {
@@ -412,11 +748,120 @@ export default function TasksTab() {
     return acc
   }, {})
 
-  const weeks = [
-    { number: 1, title: 'Week 1: Foundation & Legal Setup' },
-    { number: 2, title: 'Week 2: Product Development & Marketing' },
-    { number: 3, title: 'Week 3: Launch Preparation' },
-    { number: 4, title: 'Week 4: Launch & Scale' },
+  // Weeks come from the sprint settings; tasks left in weeks past the sprint end keep their own group
+  const sprintWeeks = getSprintWeeks(sprint)
+  const extraWeeks = Object.keys(groupedTasks)
+    .map(Number)
+    .filter(week => week > sprintWeeks.length)
+    .sort((a, b) => a - b)
+    .map(week => ({ number: week, title: `Week ${week} (outside sprint)` }))
+  const weeks = [...sprintWeeks, ...extraWeeks]
+  const weekTimeSummary = getWeeklyTimeSummary(tasks, timeEntries, weeks)
+  // The agenda ignores the search but follows the "My Tasks" toggle
+  const agenda = getDueAgenda(myTasksOnly ? tasks.filter(task => task.assignee_id === user?.id) : tasks)
+  const agendaAlertCount = agenda.overdue.length + agenda.today.length
+
+  // Keyboard navigation walks the tasks in the order the current layout shows them
+  const navigableTasks = layout === 'list'
+    ? weeks.flatMap(week => Object.values(groupedTasks[week.number] || {}).flat())
+    : layout === 'board'
+      ? TASK_STATUSES.flatMap(status => filteredTasks.filter(t => (t.status || 'pending') === status.value))
+      : filteredTasks
+  const focusedTask = navigableTasks.find(t => t.id === focusedTaskId) || null
+
+  const focusTask = (task) => {
+    setFocusedTaskId(task.id)
+    // "n" adds to the focused task's day
+    setCurrentWeek(task.week)
+    setCurrentDay(task.day)
+  }
+
+  const moveFocus = (delta) => {
+    if (navigableTasks.length === 0) return
+    const index = navigableTasks.findIndex(t => t.id === focusedTaskId)
+    const next = index === -1
+      ? (delta > 0 ? 0 : navigableTasks.length - 1)
+      : Math.min(Math.max(index + delta, 0), navigableTasks.length - 1)
+    focusTask(navigableTasks[next])
+  }
+
+  // Keyboard equivalent of dragging the focused row one place up or down within its day
+  const shiftFocusedTask = (delta) => {
+    if (!focusedTask || layout !== 'list') return
+    const dayTasks = groupedTasks[focusedTask.week || 0]?.[focusedTask.day || 'Unassigned'] || []
+    const overTask = dayTasks[dayTasks.findIndex(t => t.id === focusedTask.id) + delta]
+    if (overTask) moveTask(focusedTask, overTask)
+  }
+
+  const openTaskEditor = (task) => {
+    setEditingTask(task)
+    setIsModalOpen(true)
+  }
+
+  const addTaskFromKeyboard = async () => {
+    const week = focusedTask?.week ?? currentWeek ?? weeks[0]?.number ?? 1
+    const day = focusedTask?.day ?? currentDay ?? getDefaultDayLabel(week)
+    const created = await addTask(week, day)
+    if (created) {
+      focusTask(created)
+      openTaskEditor(created)
+    }
+  }
+
+  const confirmDeleteTask = async () => {
+    const task = deleteConfirmTask
+    const index = navigableTasks.findIndex(t => t.id === task.id)
+    const nextFocus = navigableTasks[index + 1] || navigableTasks[index - 1]
+    setDeleteConfirmTask(null)
+    setFocusedTaskId(nextFocus?.id || null)
+    await deleteTasks([task.id])
+  }
+
+  const requestDeleteFocused = () => {
+    if (focusedTask) setDeleteConfirmTask(focusedTask)
+  }
+
+  useKeyboardShortcuts({
+    n: addTaskFromKeyboard,
+    j: () => moveFocus(1),
+    k: () => moveFocus(-1),
+    ArrowDown: (e) => (e.shiftKey ? shiftFocusedTask(1) : moveFocus(1)),
+    ArrowUp: (e) => (e.shiftKey ? shiftFocusedTask(-1) : moveFocus(-1)),
+    J: () => shiftFocusedTask(1),
+    K: () => shiftFocusedTask(-1),
+    x: () => focusedTask && setTaskCompleted(focusedTask, !focusedTask.completed),
+    e: () => focusedTask && openTaskEditor(focusedTask),
+    Delete: requestDeleteFocused,
+    Backspace: requestDeleteFocused,
+    '?': () => setShowShortcuts(true),
+    Escape: () => setFocusedTaskId(null),
+  }, {
+    // Off while dragging (the drag uses the arrow keys) and while any dialog is open
+    enabled: !loading && activeId === null && !isModalOpen && !deleteConfirmTask && !showShortcuts &&
+      !showCSVModal && !showSprintSettings && !showTimeSummary && !showSaveView && !showTemplates &&
+      commentsTaskId === null,
+  })
+
+  // Keep the focused task on screen
+  useEffect(() => {
+    if (!focusedTaskId) return
+    document.querySelector(`[data-task-id="${focusedTaskId}"]`)?.scrollIntoView({ block: 'nearest' })
+  }, [focusedTaskId])
+
+  const layoutOptions = [
+    { value: 'list', label: isMobile ? '🗂️ Cards' : '📋 Table' },
+    { value: 'timeline', label: '📅 Timeline' },
+    { value: 'board', label: '🧱 Board' },
+  ]
+
+  const statusOptions = TASK_STATUSES.map(({ value, label }) => ({ value, label }))
+
+  const assigneeOptions = [
+    { value: '', label: 'Unassigned' },
+    ...profiles.map(p => ({
+      value: p.id,
+      label: p.id === user?.id ? `${p.full_name || p.email} (me)` : (p.full_name || p.email)
+    }))
   ]
 
   const priorityOptions = [
@@ -451,6 +896,11 @@ export default function TasksTab() {
 
   // Task row component with local state for editable fields
   const TaskRow = ({ task }) => {
+    const blockers = task.completed ? [] : getBlockingTasks(task, tasks)
+    const checklist = getSubtaskProgress(subtasks, task.id)
+    const commentCount = getCommentsForTask(comments, task.id).length
+    const isOverdue = isTaskOverdue(task)
+    
     const taskNameField = useEditableField(task.task, async (value) => 
       await updateTask(task.id, { task: value })
     )
@@ -465,20 +915,24 @@ export default function TasksTab() {
           <input
             type="checkbox"
             checked={task.completed}
-            onChange={(e) => updateTask(task.id, { completed: e.target.checked })}
+            onChange={(e) => setTaskCompleted(task, e.target.checked)}
             className="w-5 h-5 text-green-600 rounded focus:ring-2 focus:ring-green-500 focus:ring-offset-1 cursor-pointer"
           />
         </td>
         <td className="p-3">
-          <div className="relative">
-            <Input
-              {...taskNameField}
-              variant="filled"
-              className="text-sm font-medium"
-            />
-            {taskNameField.isSaving && (
-              <span className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-gray-500">Saving...</span>
-            )}
+          <div className="flex items-center gap-2">
+            <Avatar profile={getAssignee(task)} size="sm" />
+            <div className="relative flex-1">
+              <HighlightInput
+                {...taskNameField}
+                terms={highlightTerms}
+                variant="filled"
+                className="text-sm font-medium"
+              />
+              {taskNameField.isSaving && (
+                <span className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-gray-500">Saving...</span>
+              )}
+            </div>
           </div>
         </td>
         <td className="p-3">
@@ -486,8 +940,13 @@ export default function TasksTab() {
             type="date"
             value={task.due_date || ''}
             onChange={(e) => updateTask(task.id, { due_date: e.target.value })}
-            className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-900 hover:border-gray-400 focus:border-green-600 focus:ring-2 focus:ring-green-500/20 focus:outline-none transition-all"
+            className={`px-3 py-1.5 border rounded-md text-sm text-gray-900 hover:border-gray-400 focus:border-green-600 focus:ring-2 focus:ring-green-500/20 focus:outline-none transition-all ${
+              isOverdue ? 'border-red-400 bg-red-50' : 'border-gray-300'
+            }`}
           />
+          {isOverdue && (
+            <div className="text-xs font-medium text-red-600 mt-1">⚠ {formatDueLabel(task)}</div>
+          )}
         </td>
         <td className="p-3">
           <div className="flex items-center gap-2">
@@ -502,14 +961,42 @@ export default function TasksTab() {
           </div>
         </td>
         <td className="p-3">
-          <Badge variant={task.status === 'completed' ? 'success' : 'warning'}>
-            {task.status}
-          </Badge>
+          <div className="flex flex-wrap items-center gap-1">
+            <Badge variant={getStatusVariant(task.status)}>
+              {getStatusLabel(task.status)}
+            </Badge>
+            {checklist.total > 0 && (
+              <Badge variant={checklist.done === checklist.total ? 'success' : 'default'} size="sm">
+                ☑ {checklist.done}/{checklist.total}
+              </Badge>
+            )}
+            {blockers.length > 0 && (
+              <span title={`Waiting on ${formatTaskNames(blockers, blockers.length)}`}>
+                <Badge variant="danger" size="sm">🔒 Blocked</Badge>
+              </span>
+            )}
+            {task.recurrence_rule && (
+              <span title={describeRecurrence(task)}>
+                <Badge variant="info" size="sm">🔁</Badge>
+              </span>
+            )}
+            <TaskTags tags={task.tags} onTagClick={toggleTagFilter} />
+          </div>
+        </td>
+        <td className="p-3">
+          <TaskTimer
+            task={task}
+            timeEntries={timeEntries}
+            isRunning={runningEntry?.task_id === task.id}
+            onStart={() => startTimer(task.id)}
+            onStop={() => stopTimer()}
+          />
         </td>
         <td className="p-3">
           <div className="relative">
-            <Input
+            <HighlightInput
               {...notesField}
+              terms={highlightTerms}
               placeholder="Add notes..."
               variant="filled"
               className="text-sm"
@@ -519,9 +1006,16 @@ export default function TasksTab() {
             )}
           </div>
         </td>
-        <td className="p-3">
+        <td className="p-3 whitespace-nowrap">
+          <button
+            onClick={() => setCommentsTaskId(task.id)}
+            className="text-gray-600 hover:text-gray-900 hover:bg-gray-100 px-2 py-1 rounded text-sm font-medium transition-all"
+            title="Comments"
+          >
+            💬 {commentCount}
+          </button>
           <button
-            onClick={() => deleteTask(task.id)}
+            onClick={() => deleteTasks([task.id])}
             className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded text-sm font-medium transition-all"
           >
             Delete
@@ -531,36 +1025,185 @@ export default function TasksTab() {
     )
     
     return (
-      <DraggableTaskRow task={task} id={task.id}>
+      <DraggableTaskRow
+        task={task}
+        id={task.id}
+        className={task.id === focusedTaskId ? 'bg-green-50' : isOverdue ? 'bg-red-50/40' : ''}
+      >
         {rowContent}
       </DraggableTaskRow>
     )
   }
 
-  const handleCSVImport = async (validTasks) => {
+  const handleCSVImport = async ({ inserts, updates }) => {
+    const updateChanges = updates.map(({ id, ...fields }) => ({ id, updates: fields }))
+    const previous = getPreviousValues(updateChanges)
+    
+    try {
+      let inserted = []
+      let updated = []
+
+      // Bulk insert new tasks
+      if (inserts.length > 0) {
+        const { data, error } = await supabase
+          .from('tasks')
+          .insert(inserts)
+          .select()
+
+        if (error) throw error
+        inserted = data || []
+      }
+
+      // Rows exported with an id update the existing task
+      if (updates.length > 0) {
+        const { data, error } = await supabase
+          .from('tasks')
+          .upsert(updates, { onConflict: 'id' })
+          .select()
+
+        if (error) throw error
+        updated = data || []
+      }
+
+      const updatedById = new Map(updated.map(t => [t.id, t]))
+      setTasks(prev => [
+        ...prev.map(t => updatedById.get(t.id) || t),
+        ...inserted.filter(t => !prev.some(p => p.id === t.id)),
+      ])
+
+      if (inserted.length > 0 || updated.length > 0) {
+        // Undoing removes the whole inserted batch and restores the updated fields
+        const entry = undoHistory.record({
+          label: 'CSV import',
+          undo: async () => {
+            if (inserted.length > 0) await deleteTasks(inserted.map(t => t.id), false)
+            await applyTaskEdits(previous)
+          },
+          redo: async () => {
+            if (inserted.length > 0) await restoreTasks(inserted)
+            await applyTaskEdits(updateChanges)
+          },
+        })
+        showUndoToast(`Imported ${inserted.length} new and updated ${updated.length} tasks!`, () => undoHistory.undoEntry(entry))
+      }
+    } catch (error) {
+      toast.error('Error importing tasks: ' + error.message)
+      console.error('Import error:', error)
+      throw error
+    }
+  }
+
+  const handleSaveTemplate = async (details) => {
+    await saveTemplate(createSprintTemplate(details, tasks, sprint))
+  }
+
+  const handleDeleteTemplate = async (template) => {
+    await deleteTemplate(template.id)
+    showUndoToast(`Template "${template.name}" deleted`, async () => {
+      try {
+        await restoreTemplate(template)
+      } catch (error) {
+        toast.error('Error restoring template')
+        console.error('Error:', error)
+      }
+    })
+  }
+
+  // Start a new launch from a template: move the sprint to the chosen start date, then add the template's tasks
+  const handleUseTemplate = async (template, { name, startDate, keepAssignees }) => {
+    const rows = instantiateSprintTemplate(template, startDate, { keepAssignees })
+
     try {
-      // Bulk insert tasks
+      await saveSprint({
+        name,
+        start_date: startDate,
+        num_weeks: template.num_weeks,
+        week_titles: template.week_titles?.length > 0 ? template.week_titles : sprint.week_titles,
+      })
+
       const { data, error } = await supabase
         .from('tasks')
-        .insert(validTasks)
+        .insert(rows)
         .select()
 
       if (error) throw error
-      
-      // Add imported tasks to state
-      if (data && data.length > 0) {
-        setTasks(prev => [...prev, ...data])
-        toast.success(`Successfully imported ${data.length} tasks!`)
-      }
+      const inserted = data || []
+      setTasks(prev => [...prev, ...inserted.filter(t => !prev.some(p => p.id === t.id))])
+      setShowTemplates(false)
+
+      // Undo removes the new tasks; the sprint settings stay as chosen
+      const entry = undoHistory.record({
+        label: 'template tasks',
+        undo: () => deleteTasks(inserted.map(t => t.id), false),
+        redo: () => restoreTasks(inserted),
+      })
+      showUndoToast(`Added ${inserted.length} tasks from "${template.name}"`, () => undoHistory.undoEntry(entry))
     } catch (error) {
-      toast.error('Error importing tasks: ' + error.message)
-      console.error('Import error:', error)
+      toast.error('Error creating tasks from template')
+      console.error('Error:', error)
       throw error
     }
   }
 
+  // Clicking a tag adds "#tag" to the search, clicking it again removes it
+  const toggleTagFilter = (tag) => {
+    const term = `#${tag}`
+    const terms = searchQuery.trim().split(/\s+/).filter(Boolean)
+    setSearchQuery(terms.some(t => t.toLowerCase() === term)
+      ? terms.filter(t => t.toLowerCase() !== term).join(' ')
+      : [...terms, term].join(' '))
+  }
+
+  // Switch saved views by updating ?view=; "All tasks" (no id) resets search, filters, sort and layout
+  const selectView = (id) => {
+    const query = { ...router.query }
+    delete query.view
+    if (id) {
+      query.view = id
+    } else {
+      setSearchQuery(DEFAULT_VIEW_STATE.query)
+      setMyTasksOnly(DEFAULT_VIEW_STATE.my_tasks_only)
+      setSort(DEFAULT_VIEW_STATE.sort)
+      setLayout(DEFAULT_VIEW_STATE.layout)
+    }
+    appliedViewRef.current = null
+    router.replace({ pathname: router.pathname, query }, undefined, { shallow: true })
+  }
+
+  const handleSaveView = async (name) => {
+    const view = await createView(name, viewState)
+    if (!view) return
+
+    setShowSaveView(false)
+    selectView(view.id)
+    // The current state already matches the new view
+    appliedViewRef.current = view.id
+  }
+
+  const handleDeleteView = async (view) => {
+    selectView(null)
+    await deleteView(view.id)
+    showUndoToast(`View "${view.name}" deleted`, async () => {
+      try {
+        await restoreView(view)
+        selectView(view.id)
+      } catch (error) {
+        toast.error('Error restoring view')
+        console.error('Error:', error)
+      }
+    })
+  }
+
+  const handleCSVExport = () => {
+    downloadCSV(createTaskCSVExport(tasks, profiles), `tasks_${format(new Date(), 'yyyy-MM-dd')}.csv`)
+  }
+
   // Mobile Task Card Component
   const TaskCard = ({ task }) => {
+    const blockers = task.completed ? [] : getBlockingTasks(task, tasks)
+    const checklist = getSubtaskProgress(subtasks, task.id)
+    const commentCount = getCommentsForTask(comments, task.id).length
+    
     const handleEdit = () => {
       setEditingTask(task)
       setIsModalOpen(true)
@@ -571,47 +1214,95 @@ export default function TasksTab() {
         <input
           type="checkbox"
           checked={task.completed}
-          onChange={(e) => updateTask(task.id, { completed: e.target.checked })}
+          onChange={(e) => setTaskCompleted(task, e.target.checked)}
           className="w-5 h-5 mt-0.5 text-green-600 rounded focus:ring-2 focus:ring-green-500 focus:ring-offset-1 cursor-pointer"
         />
         <div className="flex-1">
             <div className="flex items-center justify-between mb-2">
               <div className="flex items-center gap-2">
                 <PriorityDot priority={task.priority} />
-                <span className="font-medium text-gray-900">{task.task}</span>
+                <span className="font-medium text-gray-900">
+                  <Highlight text={task.task} terms={highlightTerms} />
+                </span>
+                {task.assignee_id && <Avatar profile={getAssignee(task)} size="sm" />}
+              </div>
+              <div className="flex items-center gap-1">
+                {blockers.length > 0 && (
+                  <Badge variant="danger" size="sm">🔒 Blocked</Badge>
+                )}
+                {checklist.total > 0 && (
+                  <Badge variant={checklist.done === checklist.total ? 'success' : 'default'} size="sm">
+                    ☑ {checklist.done}/{checklist.total}
+                  </Badge>
+                )}
+                {task.recurrence_rule && (
+                  <Badge variant="info" size="sm">🔁 {describeRecurrence(task)}</Badge>
+                )}
+                <Badge variant={getStatusVariant(task.status)} size="sm">
+                  {getStatusLabel(task.status)}
+                </Badge>
               </div>
-              <Badge variant={task.status === 'completed' ? 'success' : 'warning'} size="sm">
-                {task.status}
-              </Badge>
             </div>
             
+            {task.tags?.length > 0 && (
+              <div className="flex flex-wrap gap-1 mb-2">
+                <TaskTags tags={task.tags} onTagClick={toggleTagFilter} />
+              </div>
+            )}
+            
+            {/* Predecessors still in progress */}
+            {blockers.length > 0 && (
+              <div className="text-sm text-red-700 mb-2">
+                Waiting on {formatTaskNames(blockers)}
+              </div>
+            )}
+            
             {/* Due date if set */}
             {task.due_date && (
-              <div className="text-sm text-gray-500 mb-2">
+              <div className={`text-sm mb-2 ${isTaskOverdue(task) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
                 Due: {format(new Date(task.due_date), 'MMM d, yyyy')}
+                {isTaskOverdue(task) && ` · ⚠ ${formatDueLabel(task)}`}
               </div>
             )}
             
+            <div className="mb-2">
+              <TaskTimer
+                task={task}
+                timeEntries={timeEntries}
+                isRunning={runningEntry?.task_id === task.id}
+                onStart={() => startTimer(task.id)}
+                onStop={() => stopTimer()}
+              />
+            </div>
+            
             {/* Notes preview if exists */}
             {task.notes && (
               <div className="text-sm text-gray-600 line-clamp-2 mb-3">
-                {task.notes}
+                <Highlight text={task.notes} terms={highlightTerms} />
               </div>
             )}
         </div>
         
-        {/* Action button */}
-        <button
-          onClick={handleEdit}
-          className="w-full py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md text-sm font-medium transition-colors"
-        >
-          View Details
-        </button>
+        {/* Action buttons */}
+        <div className="flex gap-2">
+          <button
+            onClick={handleEdit}
+            className="flex-1 py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md text-sm font-medium transition-colors"
+          >
+            View Details
+          </button>
+          <button
+            onClick={() => setCommentsTaskId(task.id)}
+            className="px-4 py-2 bg-gray-50 hover:bg-gray-100 text-gray-700 rounded-md text-sm font-medium transition-colors"
+          >
+            💬 {commentCount}
+          </button>
+        </div>
       </>
     )
     
     return (
-      <DraggableTaskCard task={task} id={task.id}>
+      <DraggableTaskCard task={task} id={task.id} className={task.id === focusedTaskId ? 'ring-2 ring-green-500' : ''}>
         {cardContent}
       </DraggableTaskCard>
     )
@@ -619,14 +1310,61 @@ export default function TasksTab() {
 
   // Task Edit Form for Modal
   const TaskEditForm = ({ task }) => {
+    const predecessors = getPredecessors(task, tasks)
+    
+    // Exclude the task itself, current predecessors and anything downstream of it (would form a cycle)
+    const dependentIds = getDependentTaskIds(task.id, tasks)
+    const predecessorOptions = [
+      { value: '', label: 'Add a predecessor...' },
+      ...tasks
+        .filter(t => t.id !== task.id && !dependentIds.has(t.id) && !(task.depends_on || []).includes(t.id))
+        .map(t => ({ value: t.id, label: `Week ${t.week} · ${t.day} — ${t.task}` }))
+    ]
+    
+    const addPredecessor = (predecessorId) => {
+      if (!predecessorId) return
+      updateTask(task.id, { depends_on: [...(task.depends_on || []), predecessorId] })
+    }
+    
+    const removePredecessor = (predecessorId) => {
+      updateTask(task.id, { depends_on: (task.depends_on || []).filter(id => id !== predecessorId) })
+    }
+    
     return (
       <div className="space-y-4">
+        {task.series_id && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+            <p className="text-sm font-medium text-blue-900 mb-2">
+              🔁 This task is part of a recurring series. Apply changes to:
+            </p>
+            <div className="flex flex-wrap gap-4">
+              {[
+                { value: 'occurrence', label: 'This occurrence only' },
+                { value: 'series', label: 'This and all future occurrences' },
+              ].map((option) => (
+                <label key={option.value} className="flex items-center gap-2 cursor-pointer text-sm text-blue-900">
+                  <input
+                    type="radio"
+                    name="series-edit-scope"
+                    value={option.value}
+                    checked={seriesEditScope === option.value}
+                    onChange={() => setSeriesEditScope(option.value)}
+                    className="text-green-600 focus:ring-green-500"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-blue-700 mt-2">Due date, status, checklist and dependencies always apply to this occurrence only.</p>
+          </div>
+        )}
+        
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">Task Name</label>
           <input
             type="text"
             value={task.task}
-            onChange={(e) => updateTask(task.id, { task: e.target.value })}
+            onChange={(e) => updateFromForm(task, { task: e.target.value }, true)}
             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
           />
         </div>
@@ -641,51 +1379,180 @@ export default function TasksTab() {
           />
         </div>
         
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Estimate (hours)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.25"
+            value={task.estimate_hours ?? ''}
+            onChange={(e) => updateFromForm(task, {
+              estimate_hours: e.target.value === '' ? null : Math.max(parseFloat(e.target.value) || 0, 0)
+            })}
+            placeholder="e.g. 2.5"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Logged so far: {formatHours(getTrackedHours(timeEntries, task.id))}
+          </p>
+        </div>
+        
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
           <Select
             value={task.priority}
-            onChange={(e) => updateTask(task.id, { priority: e.target.value })}
+            onChange={(e) => updateFromForm(task, { priority: e.target.value })}
             options={priorityOptions}
             className="w-full"
           />
         </div>
         
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
-          <div className="flex items-center gap-4">
-            <label className="flex items-center gap-2 cursor-pointer">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+          <TagInput
+            tags={task.tags}
+            suggestions={getAllTags(tasks)}
+            onChange={(tags) => updateFromForm(task, { tags })}
+          />
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Repeat</label>
+          <div className="flex gap-3">
+            <Select
+              value={task.recurrence_rule || ''}
+              onChange={(e) => setRecurrence(task, e.target.value)}
+              options={RECURRENCE_OPTIONS}
+              className="w-full"
+            />
+            {task.recurrence_rule === 'interval' && (
               <input
-                type="checkbox"
-                checked={task.completed}
-                onChange={(e) => updateTask(task.id, { completed: e.target.checked })}
-                className="w-5 h-5 text-green-600 rounded focus:ring-2 focus:ring-green-500"
+                type="number"
+                min="1"
+                value={task.recurrence_interval || 1}
+                onChange={(e) => setRecurrence(task, 'interval', e.target.value)}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                aria-label="Repeat every N days"
               />
-              <span className="text-sm text-gray-700">Mark as completed</span>
-            </label>
+            )}
           </div>
+          {task.recurrence_rule && (
+            <p className="text-xs text-gray-500 mt-1">
+              Completing this task schedules the next one, up to the end of the sprint.
+            </p>
+          )}
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <Select
+            value={task.status || 'pending'}
+            onChange={(e) => setTaskStatus(task, e.target.value)}
+            options={statusOptions}
+            className="w-full"
+          />
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Checklist</label>
+          <SubtaskChecklist
+            subtasks={getSubtasksForTask(subtasks, task.id)}
+            onAdd={(title) => addSubtask(task.id, title)}
+            onToggle={toggleSubtask}
+            onRename={(subtask, title) => updateSubtask(subtask.id, { title })}
+            onDelete={(subtask) => deleteSubtask(subtask.id)}
+            onMove={moveSubtask}
+          />
+          <label className="flex items-center gap-2 cursor-pointer mt-2">
+            <input
+              type="checkbox"
+              checked={task.auto_complete_subtasks !== false}
+              onChange={(e) => updateFromForm(task, { auto_complete_subtasks: e.target.checked })}
+              className="w-4 h-4 text-green-600 rounded focus:ring-2 focus:ring-green-500"
+            />
+            <span className="text-sm text-gray-600">Complete this task automatically when all checklist items are done</span>
+          </label>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Assignee</label>
+          <div className="flex items-center gap-3">
+            <Avatar profile={getAssignee(task)} />
+            <Select
+              value={task.assignee_id || ''}
+              onChange={(e) => updateFromForm(task, { assignee_id: e.target.value || null })}
+              options={assigneeOptions}
+              className="w-full"
+            />
+          </div>
+        </div>
+        
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Depends On</label>
+          {predecessors.length > 0 && (
+            <ul className="space-y-2 mb-2">
+              {predecessors.map((predecessor) => (
+                <li key={predecessor.id} className="flex items-center justify-between gap-2 bg-gray-50 rounded-lg px-3 py-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <Badge variant={predecessor.completed ? 'success' : 'warning'} size="sm">
+                      {predecessor.completed ? 'done' : 'open'}
+                    </Badge>
+                    <span className="text-sm text-gray-900 truncate">{predecessor.task}</span>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">Week {predecessor.week} · {predecessor.day}</span>
+                  </div>
+                  <button
+                    onClick={() => removePredecessor(predecessor.id)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50 px-2 py-1 rounded text-sm font-medium transition-all"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <Select
+            value=""
+            onChange={(e) => addPredecessor(e.target.value)}
+            options={predecessorOptions}
+            className="w-full"
+          />
         </div>
         
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
           <textarea
             value={task.notes || ''}
-            onChange={(e) => updateTask(task.id, { notes: e.target.value })}
+            onChange={(e) => updateFromForm(task, { notes: e.target.value }, true)}
             placeholder="Add notes..."
             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
             rows="3"
           />
         </div>
         
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Attachments</label>
+          <TaskAttachments
+            attachments={getAttachmentsForTask(attachments, task.id)}
+            profiles={profiles}
+            uploading={uploadingTaskId === task.id}
+            onUpload={(file) => uploadAttachment(task.id, file)}
+            onGetUrl={getAttachmentUrl}
+            onDelete={deleteAttachment}
+          />
+        </div>
+        
         <div className="flex gap-3 pt-4">
           <button
             onClick={() => {
-              deleteTask(task.id)
+              const targets = task.series_id && seriesEditScope === 'series'
+                ? getFutureOccurrences(task, tasks)
+                : [task]
+              deleteTasks(targets.map(t => t.id))
               setIsModalOpen(false)
             }}
             className="px-4 py-2 bg-red-50 text-red-600 rounded-lg font-medium hover:bg-red-100 transition-colors"
           >
-            Delete Task
+            {task.series_id && seriesEditScope === 'series' ? 'Delete Series' : 'Delete Task'}
           </button>
           <button
             onClick={() => setIsModalOpen(false)}
@@ -701,20 +1568,69 @@ export default function TasksTab() {
   return (
     <DndContext
       sensors={sensors}
-      collisionDetection={closestCenter}
+      collisionDetection={layout === 'board' ? rectIntersection : closestCenter}
       onDragStart={handleDragStart}
       onDragEnd={handleDragEnd}
     >
       <div>
+      {/* Saved Views */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <div className="w-full md:w-64">
+          <Select
+            value={activeView?.id || ''}
+            onChange={(e) => selectView(e.target.value || null)}
+            options={[
+              { value: '', label: 'All tasks' },
+              ...views.map(view => ({ value: view.id, label: view.name })),
+            ]}
+            aria-label="Saved view"
+          />
+        </div>
+        {activeView && isViewModified(activeView, viewState) && (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => updateView(activeView.id, viewState)}
+          >
+            Update View
+          </Button>
+        )}
+        {isViewModified(activeView, viewState) && (
+          <Button
+            size="sm"
+            variant="secondary"
+            onClick={() => setShowSaveView(true)}
+          >
+            💾 Save View
+          </Button>
+        )}
+        {activeView && (
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => handleDeleteView(activeView)}
+          >
+            Delete View
+          </Button>
+        )}
+      </div>
+
       <div className="flex flex-col md:flex-row md:justify-between md:items-center mb-6 gap-4">
-        <h2 className="text-2xl md:text-3xl font-bold text-gray-900">Launch Tasks & Timeline</h2>
+        <div>
+          <h2 className="text-2xl md:text-3xl font-bold text-gray-900">Launch Tasks & Timeline</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {sprint.name} · {sprint.num_weeks} week{sprint.num_weeks !== 1 ? 's' : ''}
+            {sprint.start_date && ` · starts ${format(parseISO(sprint.start_date), 'MMM d, yyyy')}`}
+          </p>
+        </div>
         <div className="flex flex-col md:flex-row items-stretch md:items-center gap-2 md:gap-4">
           <div className="relative">
             <input
               type="text"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search tasks..."
+              placeholder="Search, e.g. priority:high #legal"
+              title={'Filters: priority: status: week: day: due: assignee: tag: (or #tag) is:\nCompare: week:>2 due:<2026-11-01 due:today..2026-11-30\nExact phrases in "quotes"; prefix any term with - to exclude it'}
               className="pl-10 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500 w-full md:w-64"
             />
             <svg 
@@ -735,7 +1651,35 @@ export default function TasksTab() {
                 </svg>
               </button>
             )}
+            {parsedSearch.errors.length > 0 && (
+              <p className="md:absolute md:top-full md:left-0 mt-1 text-xs text-red-600 md:whitespace-nowrap">
+                {parsedSearch.errors[0]}
+              </p>
+            )}
           </div>
+          <Button
+            variant="secondary"
+            onClick={undoHistory.undo}
+            disabled={!undoHistory.canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            ↶ Undo
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={undoHistory.redo}
+            disabled={!undoHistory.canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷ Redo
+          </Button>
+          <Button
+            variant={myTasksOnly ? 'primary' : 'secondary'}
+            onClick={() => setMyTasksOnly(prev => !prev)}
+            aria-pressed={myTasksOnly}
+          >
+            👤 My Tasks
+          </Button>
           {!isMobile && (
             <Button
               variant="secondary"
@@ -744,6 +1688,43 @@ export default function TasksTab() {
               📤 Import CSV
             </Button>
           )}
+          {!isMobile && (
+            <Button
+              variant="secondary"
+              onClick={handleCSVExport}
+              disabled={tasks.length === 0}
+            >
+              📥 Export CSV
+            </Button>
+          )}
+          <Button
+            variant={showAgenda ? 'primary' : 'secondary'}
+            onClick={() => setShowAgenda(prev => !prev)}
+            aria-pressed={showAgenda}
+          >
+            📅 Today
+            {agendaAlertCount > 0 && (
+              <span className="ml-1.5 px-1.5 rounded-full bg-red-600 text-white text-xs">{agendaAlertCount}</span>
+            )}
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => setShowTimeSummary(true)}
+          >
+            ⏱ Time Report
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => setShowTemplates(true)}
+          >
+            🧩 Templates
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => setShowSprintSettings(true)}
+          >
+            ⚙️ Sprint Settings
+          </Button>
           <div className="text-xs md:text-sm font-medium flex items-center gap-2">
             <span className={connectionStatus === 'connected' ? 'text-green-600' : connectionStatus === 'error' ? 'text-red-600' : 'text-yellow-600'}>
               {connectionStatus === 'connected' ? '🟢' : connectionStatus === 'error' ? '🔴' : '🟡'}
@@ -756,20 +1737,101 @@ export default function TasksTab() {
       </div>
 
       {/* Search Results Summary */}
-      {searchQuery && (
+      {(searchQuery || myTasksOnly) && (
         <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-4">
           <p className="text-sm text-green-800">
-            Found <span className="font-semibold">{filteredTasks.length}</span> task{filteredTasks.length !== 1 ? 's' : ''} matching &ldquo;{searchQuery}&rdquo;
+            Found <span className="font-semibold">{filteredTasks.length}</span> task{filteredTasks.length !== 1 ? 's' : ''}
+            {myTasksOnly && ' assigned to you'}
+            {searchQuery && <> matching &ldquo;{searchQuery}&rdquo;</>}
           </p>
         </div>
       )}
 
-      {weeks.map((week) => {
+      {/* Today's Agenda */}
+      {showAgenda && (
+        <div className="bg-white p-4 md:p-6 mb-4 rounded-xl border border-gray-200 shadow-sm">
+          <h3 className="font-bold text-lg text-gray-900 mb-4">
+            Today · {format(new Date(), 'EEEE, MMM d')}
+          </h3>
+          <TaskAgenda
+            agenda={agenda}
+            getAssignee={getAssignee}
+            onSelect={(task) => {
+              setEditingTask(task)
+              setIsModalOpen(true)
+            }}
+          />
+        </div>
+      )}
+
+      {/* Layout Switcher and Sort */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+      <div className="flex gap-1 bg-gray-100 p-1 rounded-lg w-fit">
+        {layoutOptions.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setLayout(option.value)}
+            className={`px-4 py-2 rounded-md text-sm font-semibold transition-all ${
+              layout === option.value
+                ? 'bg-white text-green-700 shadow-sm'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+        <div className="w-44">
+          <Select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            options={TASK_SORT_OPTIONS.map(option => ({ ...option, label: `Sort: ${option.label}` }))}
+            aria-label="Sort tasks"
+          />
+        </div>
+        {!isMobile && (
+          <button
+            onClick={() => setShowShortcuts(true)}
+            className="text-sm text-gray-500 hover:text-gray-900"
+            title="Keyboard shortcuts"
+          >
+            ⌨️ Shortcuts <kbd className="px-1 rounded border border-gray-300 bg-gray-50 font-mono text-xs">?</kbd>
+          </button>
+        )}
+      </div>
+
+      {layout === 'timeline' && (
+        <TaskTimeline
+          tasks={filteredTasks}
+          sprint={sprint}
+          onReschedule={(task, dueDate) => {
+            updateTask(task.id, { due_date: dueDate })
+            toast.success(`"${task.task}" moved to ${format(parseISO(dueDate), 'MMM d')}`)
+          }}
+        />
+      )}
+
+      {layout === 'board' && (
+        <TaskBoard
+          tasks={filteredTasks}
+          allTasks={tasks}
+          onEdit={(task) => {
+            setEditingTask(task)
+            setIsModalOpen(true)
+          }}
+          onTagClick={toggleTagFilter}
+          highlightTerms={highlightTerms}
+          focusedTaskId={focusedTaskId}
+        />
+      )}
+
+      {layout === 'list' && weeks.map((week) => {
         // Calculate week progress
         const weekTasks = Object.values(groupedTasks[week.number] || {}).flat()
         const weekCompleted = weekTasks.filter(t => t.completed).length
         const weekTotal = weekTasks.length
         const weekProgress = weekTotal > 0 ? ((weekCompleted / weekTotal) * 100).toFixed(0) : 0
+        const weekTime = weekTimeSummary.find(w => w.week === week.number)
         
         return (
           <div key={week.number} className="mb-8">
@@ -778,6 +1840,11 @@ export default function TasksTab() {
                 <h3 className="text-lg md:text-xl font-bold">{week.title}</h3>
                 {weekTotal > 0 && (
                   <div className="flex items-center gap-2 md:gap-3">
+                    {weekTime && (weekTime.estimated > 0 || weekTime.actual > 0) && (
+                      <span className="text-xs md:text-sm opacity-90" title="Actual vs. estimated hours">
+                        ⏱ {formatHours(weekTime.actual)} / {formatHours(weekTime.estimated)}
+                      </span>
+                    )}
                     <span className="text-xs md:text-sm opacity-90">
                       {weekCompleted}/{weekTotal} tasks
                     </span>
@@ -841,8 +1908,9 @@ export default function TasksTab() {
                         <th className="text-left p-3 w-32 text-gray-700 font-semibold">Due Date</th>
                         <th className="text-left p-3 w-28 text-gray-700 font-semibold">Priority</th>
                         <th className="text-left p-3 w-32 text-gray-700 font-semibold">Status</th>
+                        <th className="text-left p-3 w-36 text-gray-700 font-semibold">Time</th>
                         <th className="text-left p-3 text-gray-700 font-semibold">Notes</th>
-                        <th className="text-left p-3 w-20 text-gray-700 font-semibold">Actions</th>
+                        <th className="text-left p-3 w-32 text-gray-700 font-semibold">Actions</th>
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-100">
@@ -868,7 +1936,7 @@ export default function TasksTab() {
                 <p className="text-gray-600 mb-3 text-lg">No tasks for this week yet</p>
                 <Button
                   size="sm"
-                  onClick={() => addTask(week.number, `Day ${(week.number - 1) * 7 + 1}-${(week.number - 1) * 7 + 2}`)}
+                  onClick={() => addTask(week.number, getDefaultDayLabel(week.number))}
                 >
                   + Add First Task
                 </Button>
@@ -885,20 +1953,129 @@ export default function TasksTab() {
         onClose={() => setShowCSVModal(false)}
         onImport={handleCSVImport}
         existingTasks={tasks}
+        sprint={sprint}
+        profiles={profiles}
       />
       
+      {/* Time Report Modal */}
+      <Modal
+        isOpen={showTimeSummary}
+        onClose={() => setShowTimeSummary(false)}
+        title="Estimated vs. Actual Hours"
+      >
+        {showTimeSummary && (
+          <TimeSummary tasks={tasks} timeEntries={timeEntries} weeks={weeks} />
+        )}
+      </Modal>
+      
+      {/* Save View Modal */}
+      <Modal
+        isOpen={showSaveView}
+        onClose={() => setShowSaveView(false)}
+        title="Save View"
+      >
+        {showSaveView && (
+          <SaveViewForm
+            state={viewState}
+            onSave={handleSaveView}
+            onCancel={() => setShowSaveView(false)}
+          />
+        )}
+      </Modal>
+      
+      {/* Delete Confirmation (keyboard Del) */}
+      <Modal
+        isOpen={deleteConfirmTask !== null}
+        onClose={() => setDeleteConfirmTask(null)}
+        title="Delete Task"
+      >
+        {deleteConfirmTask && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Delete &ldquo;{deleteConfirmTask.task}&rdquo;? You can undo this with Ctrl+Z.
+            </p>
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setDeleteConfirmTask(null)}>
+                Cancel
+              </Button>
+              <Button variant="danger" onClick={confirmDeleteTask} autoFocus>
+                Delete
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+      
+      {/* Keyboard Shortcuts Modal */}
+      <Modal
+        isOpen={showShortcuts}
+        onClose={() => setShowShortcuts(false)}
+        title="Keyboard Shortcuts"
+      >
+        {showShortcuts && <KeyboardShortcutsHelp />}
+      </Modal>
+      
+      {/* Sprint Templates Modal */}
+      <Modal
+        isOpen={showTemplates}
+        onClose={() => setShowTemplates(false)}
+        title="Sprint Templates"
+      >
+        {showTemplates && (
+          <SprintTemplates
+            templates={[...templates, STARTER_TEMPLATE]}
+            taskCount={tasks.length}
+            baseDate={getTemplateBaseDate(tasks, sprint)}
+            onSave={handleSaveTemplate}
+            onDelete={handleDeleteTemplate}
+            onUse={handleUseTemplate}
+          />
+        )}
+      </Modal>
+      
+      {/* Sprint Settings Modal */}
+      <Modal
+        isOpen={showSprintSettings}
+        onClose={() => setShowSprintSettings(false)}
+        title="Sprint Settings"
+      >
+        {showSprintSettings && (
+          <SprintSettingsForm
+            sprint={sprint}
+            onSave={async (updates) => {
+              await saveSprint(updates)
+              setShowSprintSettings(false)
+            }}
+            onCancel={() => setShowSprintSettings(false)}
+          />
+        )}
+      </Modal>
+      
       {/* Edit Modal */}
       <Modal
         isOpen={isModalOpen}
         onClose={() => {
           setIsModalOpen(false)
           setEditingTask(null)
+          setSeriesEditScope('occurrence')
         }}
         title="Edit Task"
       >
-        {editingTask && <TaskEditForm task={editingTask} />}
+        {editingTask && <TaskEditForm task={tasks.find(t => t.id === editingTask.id) || editingTask} />}
       </Modal>
       
+      {/* Comments Panel */}
+      <TaskCommentsPanel
+        isOpen={commentsTaskId !== null && tasks.some(t => t.id === commentsTaskId)}
+        onClose={() => setCommentsTaskId(null)}
+        task={tasks.find(t => t.id === commentsTaskId)}
+        comments={getCommentsForTask(comments, commentsTaskId)}
+        profiles={profiles}
+        currentUserId={user?.id}
+        onAdd={addComment}
+        onDelete={deleteComment}
+      />
+      
       {/* Drag Overlay */}
       <DragOverlay>
         {activeId && (
@@ -1,3 +1,4 @@
+import { useDraggable } from '@dnd-kit/core'
 import { useSortable } from '@dnd-kit/sortable'
 import { CSS } from '@dnd-kit/utilities'
 import PriorityDot from '@/components/ui/PriorityDot'
@@ -5,7 +6,7 @@ import Badge from '@/components/ui/Badge'
 import Input from '@/components/ui/Input'
 import Select from '@/components/ui/Select'
 
-export function DraggableTaskRow({ task, children, id }) {
+export function DraggableTaskRow({ task, children, id, className = '' }) {
   const {
     attributes,
     listeners,
@@ -25,12 +26,14 @@ export function DraggableTaskRow({ task, children, id }) {
     <tr 
       ref={setNodeRef} 
       style={style}
-      className={`border-b border-gray-100 hover:bg-gray-50 transition-colors duration-150 ${isDragging ? 'bg-gray-100' : ''}`}
+      data-task-id={id}
+      className={`border-b border-gray-100 hover:bg-gray-50 transition-colors duration-150 ${isDragging ? 'bg-gray-100' : className}`}
     >
       <td className="p-3 w-10">
         <div 
           {...attributes} 
           {...listeners}
+          title="Drag to reorder (or focus and press Space, then the arrow keys)"
           className="cursor-grab active:cursor-grabbing p-1 hover:bg-gray-200 rounded"
         >
           <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -43,7 +46,7 @@ export function DraggableTaskRow({ task, children, id }) {
   )
 }
 
-export function DraggableTaskCard({ task, children, id }) {
+export function DraggableTaskCard({ task, children, id, className = '' }) {
   const {
     attributes,
     listeners,
@@ -63,12 +66,14 @@ export function DraggableTaskCard({ task, children, id }) {
     <div 
       ref={setNodeRef} 
       style={style}
-      className={`bg-white rounded-lg border border-gray-200 p-4 shadow-sm ${isDragging ? 'shadow-lg' : ''}`}
+      data-task-id={id}
+      className={`bg-white rounded-lg border border-gray-200 p-4 shadow-sm ${isDragging ? 'shadow-lg' : ''} ${className}`}
     >
       <div className="flex items-start gap-3">
         <div 
           {...attributes} 
           {...listeners}
+          title="Drag to reorder (or focus and press Space, then the arrow keys)"
           className="cursor-grab active:cursor-grabbing p-1 hover:bg-gray-200 rounded mt-1"
         >
           <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -79,4 +84,32 @@ export function DraggableTaskCard({ task, children, id }) {
       </div>
     </div>
   )
+}
+
+export function DraggableBoardCard({ children, id, className = '' }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    isDragging,
+  } = useDraggable({ id })
+
+  const style = {
+    transform: CSS.Translate.toString(transform),
+    opacity: isDragging ? 0.5 : 1,
+  }
+
+  return (
+    <div 
+      ref={setNodeRef} 
+      style={style}
+      {...attributes} 
+      {...listeners}
+      data-task-id={id}
+      className={`bg-white rounded-lg border border-gray-200 p-3 shadow-sm cursor-grab active:cursor-grabbing hover:shadow-md transition-shadow ${isDragging ? 'shadow-lg' : ''} ${className}`}
+    >
+      {children}
+    </div>
+  )
 }
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Cheat sheet for the Tasks tab shortcuts (opened with "?")
+export const TASK_SHORTCUTS = [
+  { keys: ['j', '↓'], description: 'Next task' },
+  { keys: ['k', '↑'], description: 'Previous task' },
+  { keys: ['n'], description: 'New task in the focused day' },
+  { keys: ['x'], description: 'Toggle complete' },
+  { keys: ['e'], description: 'Edit task' },
+  { keys: ['Del'], description: 'Delete task (asks first)' },
+  { keys: ['Shift+J', 'Shift+↓'], description: 'Move task down within its day' },
+  { keys: ['Shift+K', 'Shift+↑'], description: 'Move task up within its day' },
+  { keys: ['Ctrl+Z'], description: 'Undo' },
+  { keys: ['Ctrl+Shift+Z'], description: 'Redo' },
+  { keys: ['Esc'], description: 'Clear the focused task' },
+  { keys: ['?'], description: 'Show this list' },
+]
+
+export default function KeyboardShortcutsHelp() {
+  return (
+    <div className="space-y-4">
+      <table className="w-full text-sm">
+        <tbody>
+          {TASK_SHORTCUTS.map(shortcut => (
+            <tr key={shortcut.description} className="border-b border-gray-100">
+              <td className="py-2 pr-4 whitespace-nowrap">
+                {shortcut.keys.map((key, index) => (
+                  <span key={key}>
+                    {index > 0 && <span className="text-gray-400"> or </span>}
+                    <kbd className="px-1.5 py-0.5 rounded border border-gray-300 bg-gray-50 font-mono text-xs text-gray-800">{key}</kbd>
+                  </span>
+                ))}
+              </td>
+              <td className="py-2 text-gray-700">{shortcut.description}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500">
+        Drag handles work from the keyboard too: Tab to a handle, press Space to pick the task up, move it with the
+        arrow keys and press Space again to drop it (Esc cancels).
+      </p>
+    </div>
+  )
+}
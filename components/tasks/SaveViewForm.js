@@ -0,0 +1,62 @@
+import { useState } from 'react'
+import Button from '@/components/ui/Button'
+import Input from '@/components/ui/Input'
+import { TASK_SORT_OPTIONS } from '@/utils/taskViews'
+
+const LAYOUT_LABELS = { list: 'Table / cards', timeline: 'Timeline', board: 'Board' }
+
+// Name the current search, filters, sort and layout so the whole team can reuse them
+export default function SaveViewForm({ state, onSave, onCancel }) {
+  const [name, setName] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const sortLabel = TASK_SORT_OPTIONS.find(option => option.value === state.sort)?.label
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    setIsSaving(true)
+    try {
+      await onSave(name.trim())
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="View Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Overdue high priority"
+        maxLength={100}
+        autoFocus
+      />
+
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+        <dt className="text-gray-500">Search</dt>
+        <dd className="text-gray-900 font-mono break-all">{state.query || '—'}</dd>
+        <dt className="text-gray-500">Filter</dt>
+        <dd className="text-gray-900">{state.my_tasks_only ? 'My tasks only' : 'Everyone'}</dd>
+        <dt className="text-gray-500">Sort</dt>
+        <dd className="text-gray-900">{sortLabel}</dd>
+        <dt className="text-gray-500">Layout</dt>
+        <dd className="text-gray-900">{LAYOUT_LABELS[state.layout]}</dd>
+      </dl>
+
+      <p className="text-xs text-gray-500">
+        Saved views are shared with everyone on the team. &ldquo;My tasks only&rdquo; always means the person viewing.
+      </p>
+
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={!name.trim() || isSaving}>
+          {isSaving ? 'Saving...' : 'Save View'}
+        </Button>
+      </div>
+    </form>
+  )
+}
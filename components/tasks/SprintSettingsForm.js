@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import Button from '@/components/ui/Button'
+import Input from '@/components/ui/Input'
+import { MAX_SPRINT_WEEKS, normalizeSprint } from '@/utils/sprintConfig'
+
+export default function SprintSettingsForm({ sprint, onSave, onCancel }) {
+  const initial = normalizeSprint(sprint)
+  const [name, setName] = useState(initial.name || '')
+  const [startDate, setStartDate] = useState(initial.start_date || '')
+  const [numWeeks, setNumWeeks] = useState(initial.num_weeks)
+  const [weekTitles, setWeekTitles] = useState(initial.week_titles)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const weekCount = Math.min(Math.max(parseInt(numWeeks) || 1, 1), MAX_SPRINT_WEEKS)
+
+  const handleTitleChange = (index, value) => {
+    setWeekTitles(prev => {
+      const next = [...prev]
+      next[index] = value
+      return next
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    try {
+      await onSave({
+        name: name.trim() || initial.name,
+        start_date: startDate || null,
+        num_weeks: weekCount,
+        // Drop titles for weeks that were removed
+        week_titles: Array.from({ length: weekCount }, (_, index) => (weekTitles[index] || '').trim()),
+      })
+    } catch (error) {
+      // Error toast is shown by the caller
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Sprint Name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Launch Sprint"
+      />
+
+      <div className="grid grid-cols-2 gap-4">
+        <Input
+          label="Start Date"
+          type="date"
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+        />
+        <Input
+          label="Number of Weeks"
+          type="number"
+          min="1"
+          max={MAX_SPRINT_WEEKS}
+          value={numWeeks}
+          onChange={(e) => setNumWeeks(e.target.value)}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-900 mb-1.5">Week Titles</label>
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {Array.from({ length: weekCount }, (_, index) => (
+            <div key={index} className="flex items-center gap-3">
+              <span className="text-sm font-medium text-gray-600 w-16 shrink-0">Week {index + 1}</span>
+              <Input
+                value={weekTitles[index] || ''}
+                onChange={(e) => handleTitleChange(index, e.target.value)}
+                placeholder="e.g. Launch Preparation"
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500">
+        Tasks in weeks beyond the sprint length stay visible but are flagged as outside the sprint.
+      </p>
+
+      <div className="flex gap-3 pt-4">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={isSaving} className="flex-1">
+          {isSaving ? 'Saving...' : 'Save Settings'}
+        </Button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,175 @@
+import { useState } from 'react'
+import { format, parseISO } from 'date-fns'
+import Button from '@/components/ui/Button'
+import Input from '@/components/ui/Input'
+import Badge from '@/components/ui/Badge'
+
+function UseTemplateForm({ template, existingTaskCount, onUse, onCancel }) {
+  const [name, setName] = useState(template.name)
+  const [startDate, setStartDate] = useState(format(new Date(), 'yyyy-MM-dd'))
+  const [keepAssignees, setKeepAssignees] = useState(true)
+  const [isCreating, setIsCreating] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!startDate) return
+
+    setIsCreating(true)
+    try {
+      await onUse(template, { name: name.trim() || template.name, startDate, keepAssignees })
+    } catch (error) {
+      // Error toast is shown by the caller
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-3 border-t border-gray-100 pt-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Input
+          label="Sprint Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <Input
+          label="Start Date"
+          type="date"
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+          required
+        />
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={keepAssignees}
+          onChange={(e) => setKeepAssignees(e.target.checked)}
+          className="w-4 h-4 text-green-600 rounded focus:ring-green-500"
+        />
+        Keep assignees
+      </label>
+      <p className="text-xs text-gray-500">
+        Sets the sprint to {template.num_weeks} week{template.num_weeks !== 1 ? 's' : ''} starting{' '}
+        {startDate ? format(parseISO(startDate), 'MMM d, yyyy') : '…'} and adds {template.tasks.length} task
+        {template.tasks.length !== 1 ? 's' : ''} with recalculated due dates.
+        {existingTaskCount > 0 && ` The ${existingTaskCount} existing tasks are kept; delete them first for a clean sprint.`}
+      </p>
+      <div className="flex justify-end gap-2">
+        <Button type="button" size="sm" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={!startDate || isCreating}>
+          {isCreating ? 'Creating...' : `Create ${template.tasks.length} Tasks`}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+// Save the current task set as a template, or start a new launch from one
+export default function SprintTemplates({ templates, taskCount, baseDate, onSave, onDelete, onUse }) {
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [isSaving, setIsSaving] = useState(false)
+  const [usingTemplateId, setUsingTemplateId] = useState(null)
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+
+    setIsSaving(true)
+    try {
+      await onSave({ name: name.trim(), description: description.trim() })
+      setName('')
+      setDescription('')
+    } catch (error) {
+      // Error toast is shown by the caller
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSave} className="space-y-3">
+        <h4 className="font-semibold text-gray-900">Save current tasks as a template</h4>
+        <Input
+          label="Template Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Product launch"
+          maxLength={100}
+        />
+        <Input
+          label="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Optional"
+        />
+        <p className="text-xs text-gray-500">
+          {taskCount} task{taskCount !== 1 ? 's' : ''} will be saved.{' '}
+          {baseDate
+            ? `Due dates are stored as days after ${format(parseISO(baseDate), 'MMM d, yyyy')}.`
+            : 'No task has a due date, so none will be set when the template is used.'}
+        </p>
+        <div className="flex justify-end">
+          <Button type="submit" size="sm" disabled={!name.trim() || taskCount === 0 || isSaving}>
+            {isSaving ? 'Saving...' : 'Save Template'}
+          </Button>
+        </div>
+      </form>
+
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-2">Templates</h4>
+        <ul className="space-y-2">
+          {templates.map(template => (
+            <li key={template.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900 truncate">{template.name}</span>
+                    {template.isBuiltIn && <Badge size="sm">Built-in</Badge>}
+                  </div>
+                  {template.description && (
+                    <p className="text-sm text-gray-600">{template.description}</p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    {template.tasks.length} task{template.tasks.length !== 1 ? 's' : ''} · {template.num_weeks} week
+                    {template.num_weeks !== 1 ? 's' : ''}
+                    {template.created_at && ` · saved ${format(new Date(template.created_at), 'MMM d, yyyy')}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <Button
+                    size="sm"
+                    variant={usingTemplateId === template.id ? 'primary' : 'secondary'}
+                    onClick={() => setUsingTemplateId(prev => prev === template.id ? null : template.id)}
+                  >
+                    Use
+                  </Button>
+                  {!template.isBuiltIn && (
+                    <Button size="sm" variant="ghost" onClick={() => onDelete(template)}>
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </div>
+              {usingTemplateId === template.id && (
+                <UseTemplateForm
+                  template={template}
+                  existingTaskCount={taskCount}
+                  onUse={async (...args) => {
+                    await onUse(...args)
+                    setUsingTemplateId(null)
+                  }}
+                  onCancel={() => setUsingTemplateId(null)}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
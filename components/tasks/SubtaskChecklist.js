@@ -0,0 +1,97 @@
+import { useState } from 'react'
+import Button from '@/components/ui/Button'
+
+export default function SubtaskChecklist({ subtasks, onAdd, onToggle, onRename, onDelete, onMove }) {
+  const [newTitle, setNewTitle] = useState('')
+  const done = subtasks.filter(s => s.completed).length
+  const progress = subtasks.length > 0 ? (done / subtasks.length) * 100 : 0
+
+  const handleAdd = (e) => {
+    e.preventDefault()
+    const title = newTitle.trim()
+    if (!title) return
+    onAdd(title)
+    setNewTitle('')
+  }
+
+  return (
+    <div className="space-y-2">
+      {subtasks.length > 0 && (
+        <div className="flex items-center gap-3">
+          <div className="flex-1 bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-green-600 rounded-full h-2 transition-all duration-300"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+          <span className="text-sm font-medium text-gray-600">{done}/{subtasks.length}</span>
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {subtasks.map((subtask, index) => (
+          <li key={subtask.id} className="flex items-center gap-2 group">
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={(e) => onToggle(subtask, e.target.checked)}
+              className="w-4 h-4 text-green-600 rounded focus:ring-2 focus:ring-green-500 cursor-pointer"
+            />
+            <input
+              type="text"
+              defaultValue={subtask.title}
+              onBlur={(e) => {
+                const title = e.target.value.trim()
+                if (title && title !== subtask.title) onRename(subtask, title)
+              }}
+              className={`flex-1 px-2 py-1 text-sm rounded border border-transparent hover:border-gray-200 focus:border-green-500 focus:outline-none ${
+                subtask.completed ? 'line-through text-gray-400' : 'text-gray-900'
+              }`}
+            />
+            <div className="flex items-center opacity-60 group-hover:opacity-100 transition-opacity">
+              <button
+                type="button"
+                onClick={() => onMove(subtask, -1)}
+                disabled={index === 0}
+                className="px-1.5 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(subtask, 1)}
+                disabled={index === subtasks.length - 1}
+                className="px-1.5 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => onDelete(subtask)}
+                className="px-1.5 py-1 text-red-600 hover:text-red-700"
+                title="Remove"
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a checklist item..."
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+        />
+        <Button type="submit" size="sm" variant="secondary" disabled={!newTitle.trim()}>
+          Add
+        </Button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import Badge from '@/components/ui/Badge'
+import { TAG_MAX_LENGTH, getTagVariant, parseTags } from '@/utils/taskTags'
+
+// Editable tag list with suggestions from tags already used on other tasks
+export default function TagInput({ tags, suggestions = [], onChange }) {
+  const [input, setInput] = useState('')
+  const current = tags || []
+
+  const addTags = (value) => {
+    const added = parseTags(value).filter(tag => !current.includes(tag))
+    if (added.length > 0) onChange([...current, ...added])
+    setInput('')
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault()
+      addTags(input)
+    } else if (e.key === 'Backspace' && input === '' && current.length > 0) {
+      onChange(current.slice(0, -1))
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 px-3 py-2 border border-gray-300 rounded-lg focus-within:ring-2 focus-within:ring-green-500 focus-within:border-green-500">
+      {current.map(tag => (
+        <Badge key={tag} variant={getTagVariant(tag)} size="sm">
+          #{tag}
+          <button
+            type="button"
+            onClick={() => onChange(current.filter(t => t !== tag))}
+            className="ml-1 opacity-60 hover:opacity-100"
+            title={`Remove ${tag}`}
+          >
+            ✕
+          </button>
+        </Badge>
+      ))}
+      <input
+        type="text"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => input.trim() && addTags(input)}
+        list="task-tag-suggestions"
+        maxLength={TAG_MAX_LENGTH}
+        placeholder={current.length === 0 ? 'legal, packaging...' : ''}
+        className="flex-1 min-w-[8rem] text-sm focus:outline-none"
+      />
+      <datalist id="task-tag-suggestions">
+        {suggestions.filter(tag => !current.includes(tag)).map(tag => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  )
+}
@@ -0,0 +1,53 @@
+import PriorityDot from '@/components/ui/PriorityDot'
+import Avatar from '@/components/ui/Avatar'
+import { AGENDA_GROUPS, formatDueLabel } from '@/utils/taskDueDates'
+
+const GROUP_STYLES = {
+  overdue: 'text-red-700',
+  today: 'text-amber-700',
+  soon: 'text-gray-700',
+}
+
+// Today's agenda: overdue, due today and due soon, each by priority (see getDueAgenda)
+export default function TaskAgenda({ agenda, getAssignee, onSelect }) {
+  const total = AGENDA_GROUPS.reduce((sum, group) => sum + agenda[group.value].length, 0)
+
+  if (total === 0) {
+    return (
+      <p className="text-sm text-gray-500">Nothing overdue or due in the next few days. 🎉</p>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {AGENDA_GROUPS.map(group => (
+        <div key={group.value}>
+          <h4 className={`text-sm font-semibold mb-2 ${GROUP_STYLES[group.value]}`}>
+            {group.label} ({agenda[group.value].length})
+          </h4>
+          {agenda[group.value].length === 0 ? (
+            <p className="text-xs text-gray-400">None</p>
+          ) : (
+            <ul className="space-y-1">
+              {agenda[group.value].map(task => (
+                <li key={task.id}>
+                  <button
+                    onClick={() => onSelect(task)}
+                    className="w-full flex items-center gap-2 text-left text-sm px-2 py-1.5 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    <PriorityDot priority={task.priority} />
+                    <span className="flex-1 truncate text-gray-900">{task.task}</span>
+                    {task.assignee_id && <Avatar profile={getAssignee(task)} size="sm" />}
+                    <span className={`text-xs whitespace-nowrap ${GROUP_STYLES[group.value]}`}>
+                      {formatDueLabel(task)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+import { format, parseISO } from 'date-fns'
+import FileInput from '@/components/ui/FileInput'
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENT_SIZE,
+  formatFileSize,
+  isImageAttachment,
+} from '@/utils/attachmentStorage'
+
+function getFileIcon(attachment) {
+  if (isImageAttachment(attachment)) return '🖼️'
+  if (attachment.file_name.toLowerCase().endsWith('.pdf')) return '📄'
+  return '📎'
+}
+
+export default function TaskAttachments({ attachments, profiles, uploading, onUpload, onGetUrl, onDelete }) {
+  // Open the tab before awaiting the URL so the popup isn't blocked
+  const handlePreview = async (attachment) => {
+    const preview = window.open('', '_blank')
+    const url = await onGetUrl(attachment)
+    if (!url) {
+      preview?.close()
+      return
+    }
+    if (preview) {
+      preview.location.href = url
+    } else {
+      window.location.href = url
+    }
+  }
+
+  const handleDownload = async (attachment) => {
+    const url = await onGetUrl(attachment, { download: true })
+    if (!url) return
+
+    const link = document.createElement('a')
+    link.href = url
+    link.download = attachment.file_name
+    link.click()
+  }
+
+  return (
+    <div className="space-y-3">
+      {attachments.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {attachments.map(attachment => {
+            const uploader = profiles.find(p => p.id === attachment.uploaded_by)
+
+            return (
+              <li key={attachment.id} className="flex items-center gap-3 p-3">
+                <span className="text-xl">{getFileIcon(attachment)}</span>
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">{attachment.file_name}</div>
+                  <div className="text-xs text-gray-500">
+                    {formatFileSize(attachment.size_bytes)} · {format(parseISO(attachment.created_at), 'MMM d')}
+                    {uploader && ` · ${uploader.full_name || uploader.email}`}
+                    {attachment.storage === 'local' && ' · local only'}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 text-sm font-medium">
+                  <button
+                    type="button"
+                    onClick={() => handlePreview(attachment)}
+                    className="px-2 py-1 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded transition-colors"
+                  >
+                    Preview
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDownload(attachment)}
+                    className="px-2 py-1 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded transition-colors"
+                  >
+                    Download
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDelete(attachment)}
+                    className="px-2 py-1 text-red-600 hover:text-red-700 hover:bg-red-50 rounded transition-colors"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {uploading ? (
+        <div className="text-sm text-gray-600 text-center py-4 border-2 border-dashed border-gray-200 rounded-xl">
+          Uploading...
+        </div>
+      ) : (
+        <FileInput
+          accept={ATTACHMENT_ACCEPT}
+          maxSize={MAX_ATTACHMENT_SIZE}
+          readAsText={false}
+          label="Images, PDFs, documents and spreadsheets"
+          onFileSelect={onUpload}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,109 @@
+import { useDroppable } from '@dnd-kit/core'
+import { format, parseISO } from 'date-fns'
+import Badge from '@/components/ui/Badge'
+import PriorityDot from '@/components/ui/PriorityDot'
+import Highlight from '@/components/ui/Highlight'
+import { DraggableBoardCard } from './DraggableTask'
+import TaskTags from './TaskTags'
+import { TASK_STATUSES } from '@/utils/taskStatus'
+import { isTaskOverdue } from '@/utils/taskDueDates'
+import { getBlockingTasks } from '@/utils/taskDependencies'
+
+const columnStyles = {
+  pending: 'border-t-amber-400',
+  in_progress: 'border-t-blue-400',
+  blocked: 'border-t-red-400',
+  completed: 'border-t-green-500',
+}
+
+function BoardColumn({ status, label, children, count }) {
+  const { setNodeRef, isOver } = useDroppable({
+    id: `status-${status}`,
+    data: { status },
+  })
+
+  return (
+    <div
+      ref={setNodeRef}
+      className={`flex flex-col min-h-[300px] rounded-xl border border-gray-200 border-t-4 ${columnStyles[status]} transition-colors ${
+        isOver ? 'bg-green-50' : 'bg-gray-50'
+      }`}
+    >
+      <div className="flex items-center justify-between p-3">
+        <h4 className="font-bold text-gray-900">{label}</h4>
+        <Badge size="sm">{count}</Badge>
+      </div>
+      <div className="flex-1 space-y-2 p-3 pt-0">
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default function TaskBoard({ tasks, allTasks, onEdit, onTagClick, highlightTerms = [], focusedTaskId = null }) {
+  const columns = TASK_STATUSES.map(status => ({
+    ...status,
+    // Tasks arrive already sorted (see sortTasks), so columns keep that order
+    tasks: tasks.filter(task => (task.status || 'pending') === status.value),
+  }))
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+      {columns.map(column => (
+        <BoardColumn
+          key={column.value}
+          status={column.value}
+          label={column.label}
+          count={column.tasks.length}
+        >
+          {column.tasks.map(task => {
+            const blockers = task.completed ? [] : getBlockingTasks(task, allTasks)
+
+            return (
+              <DraggableBoardCard
+                key={task.id}
+                id={task.id}
+                className={task.id === focusedTaskId ? 'ring-2 ring-green-500' : ''}
+              >
+                <div className="flex items-start gap-2 mb-1">
+                  <span className="mt-1.5"><PriorityDot priority={task.priority} /></span>
+                  <span className={`text-sm font-medium flex-1 ${task.completed ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                    <Highlight text={task.task} terms={highlightTerms} />
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 mb-2">
+                  Week {task.week} · {task.day}
+                  {task.due_date && (
+                    <span className={isTaskOverdue(task) ? 'text-red-600 font-medium' : ''}>
+                      {` · Due ${format(parseISO(task.due_date), 'MMM d')}`}
+                      {isTaskOverdue(task) && ' ⚠'}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex flex-wrap gap-1">
+                    {blockers.length > 0 && (
+                      <Badge variant="danger" size="sm">🔒 Blocked</Badge>
+                    )}
+                    <TaskTags tags={task.tags} onTagClick={onTagClick} />
+                  </div>
+                  <button
+                    onClick={() => onEdit(task)}
+                    className="text-xs text-gray-600 hover:text-gray-900 hover:bg-gray-100 px-2 py-1 rounded font-medium transition-colors"
+                  >
+                    Details
+                  </button>
+                </div>
+              </DraggableBoardCard>
+            )
+          })}
+          {column.tasks.length === 0 && (
+            <div className="text-sm text-gray-400 text-center py-6 border-2 border-dashed border-gray-200 rounded-lg">
+              Drop tasks here
+            </div>
+          )}
+        </BoardColumn>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,136 @@
+import { Fragment, useState } from 'react'
+import { Dialog, Transition } from '@headlessui/react'
+import { format, formatDistanceToNow, parseISO } from 'date-fns'
+import Avatar from '@/components/ui/Avatar'
+import Button from '@/components/ui/Button'
+
+// Slide-over panel with a task's comment thread
+export default function TaskCommentsPanel({ isOpen, onClose, task, comments, profiles, currentUserId, onAdd, onDelete }) {
+  const [body, setBody] = useState('')
+  const [isPosting, setIsPosting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const text = body.trim()
+    if (!text || !task) return
+
+    setIsPosting(true)
+    try {
+      const added = await onAdd(task.id, text)
+      if (added) setBody('')
+    } finally {
+      setIsPosting(false)
+    }
+  }
+
+  return (
+    <Transition show={isOpen} as={Fragment}>
+      <Dialog onClose={onClose} className="relative z-50">
+        {/* Backdrop */}
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black/30" />
+        </Transition.Child>
+
+        <div className="fixed inset-y-0 right-0 flex max-w-full">
+          <Transition.Child
+            as={Fragment}
+            enter="transform transition ease-out duration-300"
+            enterFrom="translate-x-full"
+            enterTo="translate-x-0"
+            leave="transform transition ease-in duration-200"
+            leaveFrom="translate-x-0"
+            leaveTo="translate-x-full"
+          >
+            <Dialog.Panel className="flex flex-col w-screen max-w-md bg-white shadow-xl">
+              {/* Header */}
+              <div className="flex items-start justify-between gap-3 p-4 md:p-6 border-b border-gray-200">
+                <div>
+                  <Dialog.Title className="text-lg font-semibold text-gray-900">Comments</Dialog.Title>
+                  {task && (
+                    <p className="text-sm text-gray-600 mt-1">
+                      {task.task} · Week {task.week}, {task.day}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={onClose}
+                  className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                >
+                  <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+
+              {/* Thread */}
+              <div className="flex-1 overflow-y-auto p-4 md:p-6 space-y-4">
+                {comments.length === 0 && (
+                  <p className="text-sm text-gray-500 text-center py-8">
+                    No comments yet. Start the discussion below.
+                  </p>
+                )}
+                {comments.map(comment => {
+                  const author = profiles.find(p => p.id === comment.author_id)
+                  const createdAt = parseISO(comment.created_at)
+
+                  return (
+                    <div key={comment.id} className="flex gap-3 group">
+                      <Avatar profile={author} size="md" />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-baseline gap-2">
+                          <span className="text-sm font-semibold text-gray-900 truncate">
+                            {author ? (author.full_name || author.email) : 'Former member'}
+                          </span>
+                          <span className="text-xs text-gray-500" title={format(createdAt, 'MMM d, yyyy h:mm a')}>
+                            {formatDistanceToNow(createdAt, { addSuffix: true })}
+                          </span>
+                          {comment.author_id === currentUserId && (
+                            <button
+                              onClick={() => onDelete(comment.id)}
+                              className="ml-auto text-xs text-red-600 hover:text-red-700 opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              Delete
+                            </button>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{comment.body}</p>
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+
+              {/* New comment */}
+              <form onSubmit={handleSubmit} className="p-4 md:p-6 border-t border-gray-200 space-y-2">
+                <textarea
+                  value={body}
+                  onChange={(e) => setBody(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e)
+                  }}
+                  placeholder="Write a comment..."
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+                  rows="3"
+                />
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-500">Ctrl+Enter to post</span>
+                  <Button type="submit" size="sm" disabled={!body.trim() || isPosting}>
+                    {isPosting ? 'Posting...' : 'Post'}
+                  </Button>
+                </div>
+              </form>
+            </Dialog.Panel>
+          </Transition.Child>
+        </div>
+      </Dialog>
+    </Transition>
+  )
+}
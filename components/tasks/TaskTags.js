@@ -0,0 +1,23 @@
+import Badge from '@/components/ui/Badge'
+import { getTagVariant } from '@/utils/taskTags'
+
+// Colored tag badges; clicking one filters the list by that tag
+export default function TaskTags({ tags, onTagClick, size = 'sm' }) {
+  if (!tags || tags.length === 0) return null
+
+  return (
+    <>
+      {tags.map(tag => (
+        <button
+          key={tag}
+          type="button"
+          onClick={() => onTagClick?.(tag)}
+          className="cursor-pointer"
+          title={`Filter by #${tag}`}
+        >
+          <Badge variant={getTagVariant(tag)} size={size}>#{tag}</Badge>
+        </button>
+      ))}
+    </>
+  )
+}
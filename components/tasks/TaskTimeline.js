@@ -0,0 +1,216 @@
+import { useState } from 'react'
+import {
+  DndContext,
+  PointerSensor,
+  KeyboardSensor,
+  useDraggable,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core'
+import { CSS } from '@dnd-kit/utilities'
+import {
+  addDays,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  format,
+  isWeekend,
+  max as maxDate,
+  min as minDate,
+  parseISO,
+} from 'date-fns'
+import PriorityDot from '@/components/ui/PriorityDot'
+import { getDayNumber, compareSchedule } from '@/utils/taskDependencies'
+import { getDateForSprintDay, normalizeSprint } from '@/utils/sprintConfig'
+
+const DAY_WIDTH = 40
+
+const barColors = {
+  high: 'bg-red-500 hover:bg-red-600',
+  medium: 'bg-yellow-500 hover:bg-yellow-600',
+  low: 'bg-green-500 hover:bg-green-600',
+}
+
+// Keep timeline bars on their own row while dragging
+const restrictToHorizontalAxis = ({ transform }) => ({ ...transform, y: 0 })
+
+/**
+ * Date a task is plotted on: its due_date, or the first day of its sprint day range
+ */
+export function getTaskTimelineDate(task, sprint) {
+  if (task.due_date) return task.due_date
+  return getDateForSprintDay(sprint, getDayNumber(task.day))
+}
+
+function TimelineBar({ task, offset, isScheduledBySprint }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({ id: task.id })
+
+  // Snap the preview to whole days
+  const snappedTransform = transform
+    ? { ...transform, x: Math.round(transform.x / DAY_WIDTH) * DAY_WIDTH }
+    : null
+
+  return (
+    <div
+      ref={setNodeRef}
+      {...attributes}
+      {...listeners}
+      style={{
+        left: offset * DAY_WIDTH + 2,
+        width: DAY_WIDTH - 4,
+        transform: CSS.Translate.toString(snappedTransform),
+      }}
+      title={`${task.task}${isScheduledBySprint ? ' (no due date, placed on sprint day)' : ''}`}
+      className={`absolute top-1.5 h-6 rounded-md shadow-sm cursor-grab active:cursor-grabbing transition-colors
+        ${barColors[task.priority] || barColors.medium}
+        ${task.completed ? 'opacity-40' : ''}
+        ${isScheduledBySprint ? 'border-2 border-dashed border-white/80' : ''}
+        ${isDragging ? 'ring-2 ring-green-700 z-10' : ''}`}
+    />
+  )
+}
+
+export default function TaskTimeline({ tasks, sprint, onReschedule }) {
+  const [dragDelta, setDragDelta] = useState(0)
+  const { start_date, num_weeks } = normalizeSprint(sprint)
+
+  const sensors = useSensors(
+    useSensor(PointerSensor, {
+      activationConstraint: {
+        distance: 4,
+      },
+    }),
+    useSensor(KeyboardSensor)
+  )
+
+  const sortedTasks = [...tasks].sort((a, b) =>
+    compareSchedule(a, b) || (a.position || 0) - (b.position || 0)
+  )
+
+  const scheduled = []
+  const unscheduled = []
+  sortedTasks.forEach(task => {
+    const date = getTaskTimelineDate(task, sprint)
+    if (date) {
+      scheduled.push({ task, date: parseISO(date), isScheduledBySprint: !task.due_date })
+    } else {
+      unscheduled.push(task)
+    }
+  })
+
+  // Axis covers the sprint (when a start date is set) and every plotted task
+  const boundaryDates = scheduled.map(item => item.date)
+  if (start_date) {
+    boundaryDates.push(parseISO(start_date), addDays(parseISO(start_date), num_weeks * 7 - 1))
+  }
+
+  const handleDragEnd = (event) => {
+    setDragDelta(0)
+    const item = scheduled.find(s => s.task.id === event.active.id)
+    const days = Math.round(event.delta.x / DAY_WIDTH)
+    if (!item || days === 0) return
+
+    onReschedule(item.task, format(addDays(item.date, days), 'yyyy-MM-dd'))
+  }
+
+  if (boundaryDates.length === 0) {
+    return (
+      <div className="bg-white p-8 rounded-xl border-2 border-dashed border-gray-300 text-center">
+        <p className="text-gray-600 text-lg mb-1">Nothing to plot yet</p>
+        <p className="text-sm text-gray-500">Add due dates to tasks or set a sprint start date in Sprint Settings.</p>
+      </div>
+    )
+  }
+
+  const axisStart = addDays(minDate(boundaryDates), -1)
+  const axisEnd = addDays(maxDate(boundaryDates), 1)
+  const days = eachDayOfInterval({ start: axisStart, end: axisEnd })
+  const todayOffset = differenceInCalendarDays(new Date(), axisStart)
+
+  return (
+    <div className="space-y-4">
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+        {['high', 'medium', 'low'].map(priority => (
+          <span key={priority} className="flex items-center gap-2 capitalize">
+            <PriorityDot priority={priority} /> {priority}
+          </span>
+        ))}
+        <span className="flex items-center gap-2">
+          <span className="inline-block w-4 h-3 rounded border-2 border-dashed border-gray-400" /> From sprint day
+        </span>
+        <span className="text-gray-500">Drag a bar sideways to change its due date</span>
+      </div>
+
+      <DndContext
+        sensors={sensors}
+        modifiers={[restrictToHorizontalAxis]}
+        onDragMove={(event) => setDragDelta(Math.round(event.delta.x / DAY_WIDTH))}
+        onDragEnd={handleDragEnd}
+        onDragCancel={() => setDragDelta(0)}
+      >
+        <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-x-auto">
+          <div style={{ minWidth: 256 + days.length * DAY_WIDTH }}>
+            {/* Date axis */}
+            <div className="flex border-b-2 border-gray-200 sticky top-0 bg-white z-20">
+              <div className="w-64 shrink-0 p-3 text-sm font-semibold text-gray-700 sticky left-0 bg-white">Task</div>
+              {days.map(day => (
+                <div
+                  key={day.toISOString()}
+                  style={{ width: DAY_WIDTH }}
+                  className={`shrink-0 py-2 text-center text-xs ${isWeekend(day) ? 'bg-gray-50 text-gray-400' : 'text-gray-600'}`}
+                >
+                  <div className="font-semibold">{format(day, 'd')}</div>
+                  <div>{format(day, 'EEEEE')}</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Task rows */}
+            {scheduled.map(({ task, date, isScheduledBySprint }) => (
+              <div key={task.id} className="flex border-b border-gray-100 hover:bg-gray-50">
+                <div className="w-64 shrink-0 px-3 py-2 sticky left-0 bg-white z-10 border-r border-gray-100">
+                  <div className={`text-sm font-medium truncate ${task.completed ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                    {task.task}
+                  </div>
+                  <div className="text-xs text-gray-500">Week {task.week} · {task.day}</div>
+                </div>
+                <div className="relative h-9 shrink-0" style={{ width: days.length * DAY_WIDTH }}>
+                  {todayOffset >= 0 && todayOffset < days.length && (
+                    <div
+                      className="absolute top-0 bottom-0 w-px bg-green-600/60"
+                      style={{ left: todayOffset * DAY_WIDTH + DAY_WIDTH / 2 }}
+                    />
+                  )}
+                  <TimelineBar
+                    task={task}
+                    offset={differenceInCalendarDays(date, axisStart)}
+                    isScheduledBySprint={isScheduledBySprint}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </DndContext>
+
+      {dragDelta !== 0 && (
+        <p className="text-sm text-gray-600">
+          Moving {Math.abs(dragDelta)} day{Math.abs(dragDelta) !== 1 ? 's' : ''} {dragDelta > 0 ? 'later' : 'earlier'}
+        </p>
+      )}
+
+      {/* Tasks that can't be placed on the axis */}
+      {unscheduled.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <h4 className="font-semibold text-amber-900 mb-2">Not on the timeline ({unscheduled.length})</h4>
+          <p className="text-sm text-amber-800 mb-2">These tasks have no due date and no sprint day to fall back on.</p>
+          <ul className="text-sm text-amber-800 space-y-1">
+            {unscheduled.map(task => (
+              <li key={task.id}>• {task.task} <span className="text-amber-700">(Week {task.week} · {task.day})</span></li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
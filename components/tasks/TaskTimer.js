@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react'
+import { formatHours, getTrackedHours } from '@/utils/timeTracking'
+
+// Start/stop button with logged vs. estimated hours; ticks on its own while running
+export default function TaskTimer({ task, timeEntries, isRunning, onStart, onStop }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!isRunning) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [isRunning])
+
+  const tracked = getTrackedHours(timeEntries, task.id, now)
+  const estimate = parseFloat(task.estimate_hours) || 0
+  const isOver = estimate > 0 && tracked > estimate
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={isRunning ? onStop : onStart}
+        className={`w-7 h-7 flex items-center justify-center rounded-full text-xs transition-colors ${
+          isRunning
+            ? 'bg-red-100 text-red-700 hover:bg-red-200'
+            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+        }`}
+        title={isRunning ? 'Stop timer' : 'Start timer'}
+      >
+        {isRunning ? '■' : '▶'}
+      </button>
+      <span className={`text-xs font-medium whitespace-nowrap ${isOver ? 'text-red-700' : 'text-gray-600'}`}>
+        {formatHours(tracked)}
+        {estimate > 0 && <span className="text-gray-400"> / {formatHours(estimate)}</span>}
+      </span>
+    </div>
+  )
+}
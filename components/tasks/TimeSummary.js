@@ -0,0 +1,79 @@
+import { formatHours, getWeeklyTimeSummary, getOverEstimateTasks } from '@/utils/timeTracking'
+
+function formatVariance(variance) {
+  if (variance === null) return '—'
+  const rounded = Math.round(variance)
+  return `${rounded > 0 ? '+' : ''}${rounded}%`
+}
+
+// Estimated vs. actual hours per week, plus the tasks that overran the most
+export default function TimeSummary({ tasks, timeEntries, weeks }) {
+  const summary = getWeeklyTimeSummary(tasks, timeEntries, weeks)
+  const overruns = getOverEstimateTasks(tasks, timeEntries)
+  const totals = summary.reduce(
+    (acc, week) => ({ estimated: acc.estimated + week.estimated, actual: acc.actual + week.actual }),
+    { estimated: 0, actual: 0 }
+  )
+  const totalVariance = totals.estimated > 0 ? ((totals.actual - totals.estimated) / totals.estimated) * 100 : null
+
+  return (
+    <div className="space-y-6">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th className="text-left p-3 font-semibold text-gray-700">Week</th>
+              <th className="text-right p-3 font-semibold text-gray-700">Estimated</th>
+              <th className="text-right p-3 font-semibold text-gray-700">Actual</th>
+              <th className="text-right p-3 font-semibold text-gray-700">Variance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.map(week => (
+              <tr key={week.week} className="border-b border-gray-100">
+                <td className="p-3 text-gray-900">
+                  {week.title}
+                  {week.taskCount > 0 && <span className="text-gray-500"> · {week.taskCount} tasks</span>}
+                </td>
+                <td className="p-3 text-right">{formatHours(week.estimated)}</td>
+                <td className="p-3 text-right">{formatHours(week.actual)}</td>
+                <td className={`p-3 text-right font-medium ${week.variance > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                  {formatVariance(week.variance)}
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold bg-gray-50">
+              <td className="p-3 text-gray-900">Total</td>
+              <td className="p-3 text-right">{formatHours(totals.estimated)}</td>
+              <td className="p-3 text-right">{formatHours(totals.actual)}</td>
+              <td className={`p-3 text-right ${totalVariance > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                {formatVariance(totalVariance)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h4 className="font-semibold text-gray-900 mb-2">Biggest overruns</h4>
+        {overruns.length === 0 ? (
+          <p className="text-sm text-gray-500">No task has gone over its estimate yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {overruns.map(({ task, estimated, actual, overrun }) => (
+              <li key={task.id} className="flex items-center justify-between gap-3 text-sm">
+                <span className="text-gray-900 truncate">
+                  {task.task} <span className="text-gray-500">· Week {task.week}</span>
+                </span>
+                <span className="whitespace-nowrap text-gray-600">
+                  {formatHours(actual)} / {formatHours(estimated)}
+                  <span className="text-red-700 font-medium"> (+{formatHours(overrun)})</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
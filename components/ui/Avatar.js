@@ -0,0 +1,47 @@
+const colors = [
+  'bg-green-600',
+  'bg-blue-600',
+  'bg-amber-600',
+  'bg-purple-600',
+  'bg-pink-600',
+  'bg-teal-600',
+]
+
+function getInitials(profile) {
+  const name = profile.full_name || profile.email || '?'
+  const parts = name.split(/[\s@.]+/).filter(Boolean)
+  return parts.slice(0, 2).map(part => part[0].toUpperCase()).join('')
+}
+
+// Pick a stable color per user so the same person always looks the same
+function getColor(id) {
+  const hash = String(id).split('').reduce((acc, char) => acc + char.charCodeAt(0), 0)
+  return colors[hash % colors.length]
+}
+
+export default function Avatar({ profile, size = 'md', className = '' }) {
+  const sizes = {
+    sm: 'w-6 h-6 text-[10px]',
+    md: 'w-8 h-8 text-xs',
+  }
+
+  if (!profile) {
+    return (
+      <span
+        className={`inline-flex items-center justify-center rounded-full border-2 border-dashed border-gray-300 text-gray-400 shrink-0 ${sizes[size]} ${className}`}
+        title="Unassigned"
+      >
+        ?
+      </span>
+    )
+  }
+
+  return (
+    <span
+      className={`inline-flex items-center justify-center rounded-full text-white font-semibold shrink-0 ${getColor(profile.id)} ${sizes[size]} ${className}`}
+      title={profile.full_name ? `${profile.full_name} (${profile.email})` : profile.email}
+    >
+      {getInitials(profile)}
+    </span>
+  )
+}
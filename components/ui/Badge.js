@@ -5,6 +5,11 @@ export default function Badge({ children, variant = 'default', size = 'md', clas
     warning: 'bg-amber-50 text-amber-900 border border-amber-200',
     danger: 'bg-red-50 text-red-900 border border-red-200',
     info: 'bg-blue-50 text-blue-900 border border-blue-200',
+    purple: 'bg-purple-50 text-purple-900 border border-purple-200',
+    pink: 'bg-pink-50 text-pink-900 border border-pink-200',
+    teal: 'bg-teal-50 text-teal-900 border border-teal-200',
+    indigo: 'bg-indigo-50 text-indigo-900 border border-indigo-200',
+    orange: 'bg-orange-50 text-orange-900 border border-orange-200',
   }
   
   const sizes = {
@@ -2,10 +2,12 @@ import { useState, useEffect } from 'react'
 import Button from './Button'
 import FileInput from './FileInput'
 import Badge from './Badge'
+import TaskTags from '@/components/tasks/TaskTags'
 import { parseCSV, createTaskCSVTemplate } from '@/utils/csvParser'
-import { validateAndFormatTasks, findDuplicateTasks } from '@/utils/taskValidator'
+import { validateAndFormatTasks, findDuplicateTasks, splitImportedTasks } from '@/utils/taskValidator'
+import { DEFAULT_SPRINT, normalizeSprint } from '@/utils/sprintConfig'
 
-export default function CSVUploadModal({ isOpen, onClose, onImport, existingTasks = [] }) {
+export default function CSVUploadModal({ isOpen, onClose, onImport, existingTasks = [], sprint = DEFAULT_SPRINT, profiles = [] }) {
   const [file, setFile] = useState(null)
   const [csvContent, setCsvContent] = useState('')
   const [parsedData, setParsedData] = useState(null)
@@ -33,13 +35,25 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
       setParsedData(parsed)
       
       // Validate tasks
-      const validation = validateAndFormatTasks(parsed)
+      const validation = validateAndFormatTasks(parsed, { sprint, profiles, existingTasks })
       
-      // Check for duplicates
-      const duplicates = findDuplicateTasks(validation.validTasks, existingTasks)
+      // Rows with a known id update that task; only new rows are checked for duplicates
+      const { inserts, updates } = splitImportedTasks(validation.validTasks, parsed.headers)
+      const duplicates = findDuplicateTasks(inserts, existingTasks)
+      const duplicateIndexes = new Set(duplicates.map(dup => dup.index))
       
+      // Rows that couldn't be parsed block the import too, so they aren't silently left out
       setValidationResult({
         ...validation,
+        errors: [...parsed.errors, ...validation.errors],
+        hasErrors: parsed.errors.length > 0 || validation.hasErrors,
+        summary: {
+          ...validation.summary,
+          total: validation.summary.total + parsed.errors.length,
+          invalid: validation.summary.invalid + parsed.errors.length
+        },
+        inserts: inserts.filter((_, index) => !duplicateIndexes.has(index)),
+        updates,
         duplicates,
         hasDuplicates: duplicates.length > 0
       })
@@ -50,20 +64,26 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
         errors: [error.message],
         hasErrors: true,
         validTasks: [],
+        inserts: [],
+        updates: [],
         summary: { total: 0, valid: 0, invalid: 0 }
       })
     }
   }
 
+  const importCount = validationResult
+    ? (validationResult.inserts?.length || 0) + (validationResult.updates?.length || 0)
+    : 0
+
   const handleImport = async () => {
-    if (!validationResult || validationResult.hasErrors || validationResult.validTasks.length === 0) {
+    if (!validationResult || validationResult.hasErrors || importCount === 0) {
       return
     }
 
     setIsImporting(true)
     
     try {
-      await onImport(validationResult.validTasks)
+      await onImport({ inserts: validationResult.inserts, updates: validationResult.updates })
       onClose()
     } catch (error) {
       console.error('Import error:', error)
@@ -73,7 +93,7 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
   }
 
   const downloadTemplate = () => {
-    const template = createTaskCSVTemplate()
+    const template = createTaskCSVTemplate(sprint)
     const blob = new Blob([template], { type: 'text/csv' })
     const url = window.URL.createObjectURL(blob)
     const link = document.createElement('a')
@@ -123,9 +143,13 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
                 <h4 className="font-semibold text-blue-900 mb-2">CSV Format Requirements:</h4>
                 <ul className="text-sm text-blue-800 space-y-1">
                   <li>• Required columns: week, day, task, priority</li>
-                  <li>• Optional columns: status, due_date, notes</li>
-                  <li>• Week must be 1-4</li>
+                  <li>• Optional columns: status, due_date, notes, assignee, tags</li>
+                  <li>• Assignee must be a team member&apos;s email address</li>
+                  <li>• Separate multiple tags with semicolons, e.g. legal;packaging</li>
+                  <li>• Keep the id column from &ldquo;Export CSV&rdquo; to update existing tasks instead of adding copies</li>
+                  <li>• Week must be 1-{normalizeSprint(sprint).num_weeks}</li>
                   <li>• Priority must be: high, medium, or low</li>
+                  <li>• Status must be: pending, in_progress, blocked, or completed</li>
                   <li>• Date format: YYYY-MM-DD</li>
                 </ul>
               </div>
@@ -135,7 +159,7 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
               {/* Validation Summary */}
               <div className="bg-gray-50 rounded-lg p-4">
                 <h3 className="font-semibold text-gray-900 mb-3">Validation Summary</h3>
-                <div className="grid grid-cols-3 gap-4 text-center">
+                <div className="grid grid-cols-3 md:grid-cols-5 gap-4 text-center">
                   <div>
                     <div className="text-2xl font-bold text-gray-900">
                       {validationResult.summary.total}
@@ -154,6 +178,18 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
                     </div>
                     <div className="text-sm text-gray-600">Invalid Tasks</div>
                   </div>
+                  <div>
+                    <div className="text-2xl font-bold text-gray-900">
+                      {validationResult.inserts.length}
+                    </div>
+                    <div className="text-sm text-gray-600">New</div>
+                  </div>
+                  <div>
+                    <div className="text-2xl font-bold text-blue-600">
+                      {validationResult.updates.length}
+                    </div>
+                    <div className="text-sm text-gray-600">Updates</div>
+                  </div>
                 </div>
               </div>
 
@@ -194,16 +230,24 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
                     <table className="w-full text-sm">
                       <thead>
                         <tr className="bg-gray-50 border-b">
+                          <th className="text-left p-3 font-medium text-gray-700"></th>
                           <th className="text-left p-3 font-medium text-gray-700">Week</th>
                           <th className="text-left p-3 font-medium text-gray-700">Day</th>
                           <th className="text-left p-3 font-medium text-gray-700">Task</th>
                           <th className="text-left p-3 font-medium text-gray-700">Priority</th>
                           <th className="text-left p-3 font-medium text-gray-700">Due Date</th>
+                          <th className="text-left p-3 font-medium text-gray-700">Assignee</th>
+                          <th className="text-left p-3 font-medium text-gray-700">Tags</th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-gray-200">
                         {validationResult.validTasks.slice(0, 5).map((task, index) => (
                           <tr key={index} className="hover:bg-gray-50">
+                            <td className="p-3">
+                              <Badge variant={task.id ? 'info' : 'success'} size="sm">
+                                {task.id ? 'Update' : 'New'}
+                              </Badge>
+                            </td>
                             <td className="p-3">{task.week}</td>
                             <td className="p-3">{task.day}</td>
                             <td className="p-3">{task.task}</td>
@@ -220,6 +264,14 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
                               </Badge>
                             </td>
                             <td className="p-3">{task.due_date || '-'}</td>
+                            <td className="p-3">{profiles.find(p => p.id === task.assignee_id)?.email || '-'}</td>
+                            <td className="p-3">
+                              {task.tags.length > 0 ? (
+                                <div className="flex flex-wrap gap-1">
+                                  <TaskTags tags={task.tags} />
+                                </div>
+                              ) : '-'}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -242,8 +294,8 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
             <div>
               {showPreview && validationResult && (
                 <p className="text-sm text-gray-600">
-                  {validationResult.summary.valid > 0
-                    ? `Ready to import ${validationResult.summary.valid} tasks`
+                  {importCount > 0
+                    ? `Ready to add ${validationResult.inserts.length} and update ${validationResult.updates.length} tasks`
                     : 'No valid tasks to import'}
                 </p>
               )}
@@ -263,12 +315,12 @@ export default function CSVUploadModal({ isOpen, onClose, onImport, existingTask
               >
                 Cancel
               </Button>
-              {showPreview && validationResult && validationResult.summary.valid > 0 && (
+              {showPreview && validationResult && importCount > 0 && (
                 <Button
                   onClick={handleImport}
-                  disabled={isImporting}
+                  disabled={isImporting || validationResult.hasErrors}
                 >
-                  {isImporting ? 'Importing...' : `Import ${validationResult.summary.valid} Tasks`}
+                  {isImporting ? 'Importing...' : `Import ${importCount} Tasks`}
                 </Button>
               )}
             </div>
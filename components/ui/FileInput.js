@@ -1,9 +1,24 @@
 import { useState, useRef } from 'react'
 
+// Match a file against an `accept` list such as ".csv" or "image/*,.pdf"
+function isAccepted(file, accept) {
+  if (!accept || accept === '*') return true
+  
+  const fileName = file.name.toLowerCase()
+  const fileType = (file.type || '').toLowerCase()
+  return accept.split(',').map(type => type.trim().toLowerCase()).some(type => {
+    if (type.startsWith('.')) return fileName.endsWith(type)
+    if (type.endsWith('/*')) return fileType.startsWith(type.slice(0, -1))
+    return fileType === type
+  })
+}
+
 export default function FileInput({ 
   accept = '.csv', 
   onFileSelect, 
   maxSize = 1048576, // 1MB default
+  readAsText = true, // pass false to receive only the File (e.g. for uploads)
+  label = 'CSV files only',
   className = '' 
 }) {
   const [isDragging, setIsDragging] = useState(false)
@@ -38,15 +53,16 @@ export default function FileInput({
     if (file) {
       handleFile(file)
     }
+    // Allow picking the same file again
+    e.target.value = ''
   }
 
   const handleFile = (file) => {
     setError('')
     
     // Validate file type
-    const fileExtension = file.name.split('.').pop().toLowerCase()
-    if (fileExtension !== 'csv') {
-      setError('Please upload a CSV file')
+    if (!isAccepted(file, accept)) {
+      setError(`Unsupported file type (${label})`)
       return
     }
     
@@ -56,6 +72,11 @@ export default function FileInput({
       return
     }
     
+    if (!readAsText) {
+      onFileSelect(file)
+      return
+    }
+    
     // Read file content
     const reader = new FileReader()
     reader.onload = (e) => {
@@ -106,7 +127,7 @@ export default function FileInput({
               {isDragging ? 'Drop your file here' : 'Click to upload or drag and drop'}
             </p>
             <p className="text-sm text-gray-500 mt-1">
-              CSV files only (max {(maxSize / 1048576).toFixed(1)}MB)
+              {label} (max {(maxSize / 1048576).toFixed(1)}MB)
             </p>
           </div>
         </div>
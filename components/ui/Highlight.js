@@ -0,0 +1,17 @@
+import { escapeRegExp } from '@/utils/taskSearch'
+
+// Render text with every occurrence of the search terms wrapped in <mark>
+export default function Highlight({ text, terms = [] }) {
+  if (!text || terms.length === 0) return text || null
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi')
+
+  // split() with a capture group puts the matches at odd indexes
+  return text.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{part}</mark>
+    ) : (
+      part
+    )
+  )
+}
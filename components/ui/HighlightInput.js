@@ -0,0 +1,35 @@
+import { useState } from 'react'
+import Input from './Input'
+import Highlight from './Highlight'
+import { hasHighlight } from '@/utils/taskSearch'
+
+// Input that shows search matches highlighted until it is clicked or focused for editing
+export default function HighlightInput({ terms = [], className = '', onBlur, ...props }) {
+  const [isEditing, setIsEditing] = useState(false)
+
+  if (isEditing || !hasHighlight(props.value, terms)) {
+    return (
+      <Input
+        {...props}
+        className={className}
+        autoFocus={isEditing}
+        onBlur={(e) => {
+          setIsEditing(false)
+          onBlur?.(e)
+        }}
+      />
+    )
+  }
+
+  return (
+    <div
+      role="textbox"
+      tabIndex={0}
+      onClick={() => setIsEditing(true)}
+      onFocus={() => setIsEditing(true)}
+      className={`w-full px-3 py-2 text-gray-900 rounded-md border border-gray-200 bg-gray-50 shadow-sm cursor-text truncate ${className}`}
+    >
+      <Highlight text={props.value} terms={terms} />
+    </div>
+  )
+}
@@ -0,0 +1,19 @@
+import toast from 'react-hot-toast'
+
+// Success toast with an inline "Undo" action
+export function showUndoToast(message, onUndo) {
+  return toast.success((t) => (
+    <span className="flex items-center gap-3">
+      <span>{message}</span>
+      <button
+        onClick={() => {
+          toast.dismiss(t.id)
+          onUndo()
+        }}
+        className="text-sm font-semibold text-green-700 hover:text-green-800 underline"
+      >
+        Undo
+      </button>
+    </span>
+  ), { duration: 6000 })
+}
@@ -0,0 +1,110 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { normalizeTotalBudget } from '@/utils/budgetConfig'
+
+// Load the overall budget (single row in budget_settings) and the category allocations, and keep them in sync
+export function useBudgetConfig() {
+  const supabase = useSupabaseClient()
+  const [settings, setSettings] = useState(null)
+  const [categories, setCategories] = useState([])
+
+  const fetchBudgetConfig = useCallback(async () => {
+    try {
+      const [settingsResult, categoriesResult] = await Promise.all([
+        supabase
+          .from('budget_settings')
+          .select('*')
+          .order('created_at', { ascending: true })
+          .limit(1)
+          .maybeSingle(),
+        supabase
+          .from('budget_categories')
+          .select('*')
+          .order('name', { ascending: true }),
+      ])
+
+      if (settingsResult.error) throw settingsResult.error
+      if (categoriesResult.error) throw categoriesResult.error
+      setSettings(settingsResult.data)
+      setCategories(categoriesResult.data || [])
+    } catch (error) {
+      toast.error('Error fetching budget settings')
+      console.error('Error:', error)
+    }
+  }, [supabase])
+
+  useEffect(() => {
+    fetchBudgetConfig()
+
+    const channel = supabase
+      .channel('budget-config-channel')
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'budget_settings' },
+        () => {
+          fetchBudgetConfig()
+        }
+      )
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'budget_categories' },
+        () => {
+          fetchBudgetConfig()
+        }
+      )
+      .subscribe()
+
+    return () => {
+      channel.unsubscribe()
+    }
+  }, [supabase, fetchBudgetConfig])
+
+  // Save the total and the full list of allocations; categories missing from the list are removed
+  const saveBudgetConfig = async ({ totalBudget, allocations }) => {
+    try {
+      const fields = { total_budget: totalBudget }
+      const { data, error } = settings?.id
+        ? await supabase.from('budget_settings').update(fields).eq('id', settings.id).select().single()
+        : await supabase.from('budget_settings').insert([fields]).select().single()
+
+      if (error) throw error
+
+      const removedIds = categories
+        .filter(category => !allocations.some(a => a.name === category.name))
+        .map(category => category.id)
+
+      if (removedIds.length > 0) {
+        const { error: deleteError } = await supabase
+          .from('budget_categories')
+          .delete()
+          .in('id', removedIds)
+
+        if (deleteError) throw deleteError
+      }
+
+      let savedCategories = []
+      if (allocations.length > 0) {
+        const { data: upserted, error: upsertError } = await supabase
+          .from('budget_categories')
+          .upsert(allocations, { onConflict: 'name' })
+          .select()
+
+        if (upsertError) throw upsertError
+        savedCategories = upserted || []
+      }
+
+      setSettings(data)
+      setCategories(savedCategories.sort((a, b) => a.name.localeCompare(b.name)))
+      toast.success('Budget saved')
+    } catch (error) {
+      toast.error('Error saving budget')
+      console.error('Error:', error)
+      throw error
+    }
+  }
+
+  return {
+    totalBudget: normalizeTotalBudget(settings),
+    categories,
+    saveBudgetConfig,
+  }
+}
@@ -0,0 +1,199 @@
+import { useState } from 'react'
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+import { format } from 'date-fns'
+import { ATTACHMENT_STORAGE, buildAttachmentPath, getAttachmentStorage } from '@/utils/attachmentStorage'
+import { RECEIPT_BUCKET } from '@/utils/budgetLedger'
+
+const EMPTY_RECEIPT = {
+  receipt_name: null,
+  receipt_path: null,
+  receipt_content_type: null,
+  receipt_size_bytes: null,
+  receipt_storage: null,
+}
+
+function getReceiptStorage(supabase, transaction) {
+  return getAttachmentStorage(supabase, transaction?.receipt_storage || ATTACHMENT_STORAGE, RECEIPT_BUCKET)
+}
+
+// Load the expense ledger for all budget items and keep it in sync in realtime
+// budget_items.actual is kept equal to each item's total by a database trigger
+// Receipt files live in the budget-receipts bucket; the transaction row keeps their metadata
+export function useBudgetTransactions() {
+  const supabase = useSupabaseClient()
+  const {
+    rows: transactions,
+    setRows: setTransactions,
+    fetchRows: fetchTransactions,
+    mergeRows,
+  } = useRealtimeTable('budget_transactions', { order: ['date'], label: 'transactions' })
+  const [uploadingReceiptId, setUploadingReceiptId] = useState(null)
+
+  const addTransaction = async (budgetItemId, fields = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('budget_transactions')
+        .insert([{
+          budget_item_id: budgetItemId,
+          date: format(new Date(), 'yyyy-MM-dd'),
+          amount: 0,
+          ...fields,
+        }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+    } catch (error) {
+      toast.error('Error adding transaction')
+      console.error('Error:', error)
+    }
+  }
+
+  const updateTransaction = async (id, updates) => {
+    setTransactions(prev => prev.map(t => t.id === id ? { ...t, ...updates } : t))
+
+    try {
+      const { error } = await supabase
+        .from('budget_transactions')
+        .update(updates)
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error updating transaction')
+      console.error('Error:', error)
+      fetchTransactions()
+    }
+  }
+
+  const deleteTransaction = async (transaction) => {
+    setTransactions(prev => prev.filter(t => t.id !== transaction.id))
+
+    try {
+      const { error } = await supabase
+        .from('budget_transactions')
+        .delete()
+        .eq('id', transaction.id)
+
+      if (error) throw error
+      if (transaction.receipt_path) {
+        await getReceiptStorage(supabase, transaction).remove(transaction.receipt_path)
+      }
+    } catch (error) {
+      toast.error('Error deleting transaction')
+      console.error('Error:', error)
+      fetchTransactions()
+    }
+  }
+
+  // After a budget item is deleted: its transactions go with it (ON DELETE CASCADE), but their receipt files don't
+  const removeItemReceipts = async (budgetItemId) => {
+    const removed = transactions.filter(t => t.budget_item_id === budgetItemId)
+    setTransactions(prev => prev.filter(t => t.budget_item_id !== budgetItemId))
+
+    const results = await Promise.allSettled(removed
+      .filter(t => t.receipt_path)
+      .map(t => getReceiptStorage(supabase, t).remove(t.receipt_path)))
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Error:', result.reason))
+  }
+
+  // Attach a receipt, replacing any earlier one
+  const uploadReceipt = async (transaction, file) => {
+    const storage = getReceiptStorage(supabase)
+    const path = buildAttachmentPath(transaction.id, file.name)
+    setUploadingReceiptId(transaction.id)
+
+    try {
+      await storage.upload(path, file)
+
+      const receipt = {
+        receipt_name: file.name,
+        receipt_path: path,
+        receipt_content_type: file.type || null,
+        receipt_size_bytes: file.size,
+        receipt_storage: ATTACHMENT_STORAGE,
+      }
+      const { error } = await supabase
+        .from('budget_transactions')
+        .update(receipt)
+        .eq('id', transaction.id)
+
+      if (error) {
+        // Don't leave an orphaned file behind
+        await storage.remove(path).catch(() => {})
+        throw error
+      }
+
+      setTransactions(prev => prev.map(t => t.id === transaction.id ? { ...t, ...receipt } : t))
+      if (transaction.receipt_path) {
+        await getReceiptStorage(supabase, transaction).remove(transaction.receipt_path).catch(() => {})
+      }
+      toast.success(`Attached ${file.name}`)
+    } catch (error) {
+      toast.error('Error uploading receipt')
+      console.error('Error:', error)
+    } finally {
+      setUploadingReceiptId(null)
+    }
+  }
+
+  const removeReceipt = async (transaction) => {
+    setTransactions(prev => prev.map(t => t.id === transaction.id ? { ...t, ...EMPTY_RECEIPT } : t))
+
+    try {
+      const { error } = await supabase
+        .from('budget_transactions')
+        .update(EMPTY_RECEIPT)
+        .eq('id', transaction.id)
+
+      if (error) throw error
+      await getReceiptStorage(supabase, transaction).remove(transaction.receipt_path)
+    } catch (error) {
+      toast.error('Error removing receipt')
+      console.error('Error:', error)
+      fetchTransactions()
+    }
+  }
+
+  // URL to preview or (with `download`) save the receipt; null if it can't be resolved
+  const getReceiptUrl = async (transaction, { download = false } = {}) => {
+    try {
+      return await getReceiptStorage(supabase, transaction)
+        .getUrl(transaction.receipt_path, { download: download ? transaction.receipt_name : undefined })
+    } catch (error) {
+      toast.error('Error opening receipt')
+      console.error('Error:', error)
+      return null
+    }
+  }
+
+  // The receipt file itself (for the export bundle); throws if it can't be downloaded
+  const getReceiptFile = (transaction) => {
+    return getReceiptStorage(supabase, transaction).download(transaction.receipt_path)
+  }
+
+  return {
+    transactions,
+    uploadingReceiptId,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    removeItemReceipts,
+    uploadReceipt,
+    removeReceipt,
+    getReceiptUrl,
+    getReceiptFile,
+  }
+}
+
+// An item's transactions, oldest first
+export function getTransactionsForItem(transactions, budgetItemId) {
+  return transactions
+    .filter(t => t.budget_item_id === budgetItemId)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)) || new Date(a.created_at) - new Date(b.created_at))
+}
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react'
+import { isTextField } from '@/utils/keyboard'
+
+// Single-key shortcuts, e.g. { n: handler, ArrowDown: handler }, keyed by KeyboardEvent.key
+// Ignored while typing, in selects, with Ctrl/Cmd/Alt held, or when `enabled` is false (e.g. a modal is open)
+export function useKeyboardShortcuts(bindings, { enabled = true } = {}) {
+  const bindingsRef = useRef(bindings)
+  bindingsRef.current = bindings
+
+  useEffect(() => {
+    if (!enabled) return
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return
+      if (isTextField(e.target) || e.target?.tagName === 'SELECT') return
+
+      const handler = bindingsRef.current[e.key]
+      if (!handler) return
+
+      e.preventDefault()
+      handler(e)
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [enabled])
+}
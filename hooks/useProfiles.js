@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react'
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+
+// Load team member profiles for assignee pickers and avatars
+export function useProfiles() {
+  const supabase = useSupabaseClient()
+  const [profiles, setProfiles] = useState([])
+
+  useEffect(() => {
+    const fetchProfiles = async () => {
+      try {
+        const { data, error } = await supabase
+          .from('profiles')
+          .select('*')
+          .order('email', { ascending: true })
+
+        if (error) throw error
+        setProfiles(data || [])
+      } catch (error) {
+        console.error('Error fetching profiles:', error)
+      }
+    }
+
+    fetchProfiles()
+  }, [supabase])
+
+  return profiles
+}
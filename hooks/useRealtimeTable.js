@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+
+// Load every row of a table and keep it in sync in realtime; the per-table hooks build on this
+// Options: select (columns), order (columns to sort by, all ascending or all descending),
+// label (for the fetch error toast) and prepend (new rows go first, for newest-first lists)
+export function useRealtimeTable(table, { select = '*', order = [], ascending = true, label = table, prepend = false } = {}) {
+  const supabase = useSupabaseClient()
+  const [rows, setRows] = useState([])
+  const orderKey = order.join(',')
+
+  const fetchRows = useCallback(async () => {
+    try {
+      let query = supabase.from(table).select(select)
+      orderKey.split(',').filter(Boolean).forEach(column => {
+        query = query.order(column, { ascending })
+      })
+      const { data, error } = await query
+
+      if (error) throw error
+      setRows(data || [])
+    } catch (error) {
+      toast.error(`Error fetching ${label}`)
+      console.error('Error:', error)
+    }
+  }, [supabase, table, select, orderKey, ascending, label])
+
+  // Add rows saved by this client, replacing any copy realtime already delivered
+  const mergeRows = useCallback((items) => {
+    setRows(prev => {
+      const added = items.filter(item => !prev.some(row => row.id === item.id))
+      const merged = prev.map(row => items.find(item => item.id === row.id) || row)
+      return prepend ? [...added, ...merged] : [...merged, ...added]
+    })
+  }, [prepend])
+
+  useEffect(() => {
+    fetchRows()
+
+    const channel = supabase
+      .channel(`${table}-channel`)
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT') {
+            mergeRows([payload.new])
+          } else if (payload.eventType === 'UPDATE') {
+            setRows(prev => prev.map(row => row.id === payload.new.id ? payload.new : row))
+          } else if (payload.eventType === 'DELETE') {
+            setRows(prev => prev.filter(row => row.id !== payload.old.id))
+          }
+        }
+      )
+      .subscribe()
+
+    return () => {
+      channel.unsubscribe()
+    }
+  }, [supabase, table, fetchRows, mergeRows])
+
+  // Re-insert previously deleted rows as they were (undo); throws so the undo history can report it
+  const restoreRows = async (items) => {
+    if (items.length === 0) return []
+
+    const { data, error } = await supabase
+      .from(table)
+      .upsert(items)
+      .select()
+
+    if (error) throw error
+    mergeRows(data)
+    return data
+  }
+
+  return { rows, setRows, fetchRows, mergeRows, restoreRows }
+}
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { DEFAULT_SPRINT, normalizeSprint } from '@/utils/sprintConfig'
+
+// Load the sprint configuration (single row in sprint_settings) and keep it in sync
+export function useSprintConfig() {
+  const supabase = useSupabaseClient()
+  const [sprint, setSprint] = useState(DEFAULT_SPRINT)
+  const [loading, setLoading] = useState(true)
+
+  const fetchSprint = useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from('sprint_settings')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle()
+
+      if (error) throw error
+      setSprint(normalizeSprint(data))
+    } catch (error) {
+      toast.error('Error fetching sprint settings')
+      console.error('Error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [supabase])
+
+  useEffect(() => {
+    fetchSprint()
+
+    const channel = supabase
+      .channel('sprint-channel')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sprint_settings'
+        },
+        () => {
+          fetchSprint()
+        }
+      )
+      .subscribe()
+
+    return () => {
+      channel.unsubscribe()
+    }
+  }, [supabase, fetchSprint])
+
+  const saveSprint = async (updates) => {
+    const nextSprint = normalizeSprint({ ...sprint, ...updates })
+    const fields = {
+      name: nextSprint.name,
+      start_date: nextSprint.start_date || null,
+      num_weeks: nextSprint.num_weeks,
+      week_titles: nextSprint.week_titles,
+    }
+
+    try {
+      // Update the existing row, or create the first one
+      const { data, error } = sprint.id
+        ? await supabase.from('sprint_settings').update(fields).eq('id', sprint.id).select().single()
+        : await supabase.from('sprint_settings').insert([fields]).select().single()
+
+      if (error) throw error
+      setSprint(normalizeSprint(data))
+      toast.success('Sprint settings saved')
+    } catch (error) {
+      toast.error('Error saving sprint settings')
+      console.error('Error:', error)
+      throw error
+    }
+  }
+
+  return { sprint, loading, saveSprint }
+}
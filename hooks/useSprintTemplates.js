@@ -0,0 +1,57 @@
+import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+
+// Saved sprint templates (see utils/sprintTemplates), shared by the team
+export function useSprintTemplates() {
+  const supabase = useSupabaseClient()
+  const user = useUser()
+  const {
+    rows: templates,
+    setRows: setTemplates,
+    fetchRows: fetchTemplates,
+    mergeRows,
+    restoreRows,
+  } = useRealtimeTable('sprint_templates', { order: ['created_at'], ascending: false, label: 'sprint templates', prepend: true })
+
+  const saveTemplate = async (template) => {
+    try {
+      const { data, error } = await supabase
+        .from('sprint_templates')
+        .insert([{ ...template, created_by: user?.id || null }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+      toast.success(`Template "${data.name}" saved`)
+      return data
+    } catch (error) {
+      toast.error('Error saving template')
+      console.error('Error:', error)
+      throw error
+    }
+  }
+
+  const deleteTemplate = async (id) => {
+    setTemplates(prev => prev.filter(t => t.id !== id))
+
+    try {
+      const { error } = await supabase
+        .from('sprint_templates')
+        .delete()
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error deleting template')
+      console.error('Error:', error)
+      fetchTemplates()
+    }
+  }
+
+  // Put a deleted template back (undo)
+  const restoreTemplate = (template) => restoreRows([template])
+
+  return { templates, saveTemplate, deleteTemplate, restoreTemplate }
+}
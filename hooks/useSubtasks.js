@@ -0,0 +1,131 @@
+import { useSupabaseClient } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+
+// Load checklist items for all tasks and keep them in sync in realtime
+export function useSubtasks() {
+  const supabase = useSupabaseClient()
+  const {
+    rows: subtasks,
+    setRows: setSubtasks,
+    fetchRows: fetchSubtasks,
+    mergeRows,
+    restoreRows: restoreSubtasks,
+  } = useRealtimeTable('subtasks', { order: ['position', 'created_at'], label: 'subtasks' })
+
+  const addSubtask = async (taskId, title) => {
+    const siblings = subtasks.filter(s => s.task_id === taskId)
+    const position = siblings.length > 0 ? Math.max(...siblings.map(s => s.position || 0)) + 1 : 0
+
+    try {
+      const { data, error } = await supabase
+        .from('subtasks')
+        .insert([{ task_id: taskId, title, position, completed: false }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+    } catch (error) {
+      toast.error('Error adding subtask')
+      console.error('Error:', error)
+    }
+  }
+
+  const updateSubtask = async (id, updates) => {
+    // Optimistic update
+    setSubtasks(prev => prev.map(s => s.id === id ? { ...s, ...updates } : s))
+
+    try {
+      const { error } = await supabase
+        .from('subtasks')
+        .update(updates)
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error updating subtask')
+      console.error('Error:', error)
+      fetchSubtasks()
+    }
+  }
+
+  const deleteSubtask = async (id) => {
+    setSubtasks(prev => prev.filter(s => s.id !== id))
+
+    try {
+      const { error } = await supabase
+        .from('subtasks')
+        .delete()
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error deleting subtask')
+      console.error('Error:', error)
+      fetchSubtasks()
+    }
+  }
+
+  // Swap a subtask with its neighbour in the given direction (-1 up, 1 down)
+  const moveSubtask = async (subtask, direction) => {
+    const siblings = getSubtasksForTask(subtasks, subtask.task_id)
+    const index = siblings.findIndex(s => s.id === subtask.id)
+    if (!siblings[index + direction]) return
+
+    const reordered = [...siblings]
+    reordered[index] = siblings[index + direction]
+    reordered[index + direction] = subtask
+
+    // Renumber the whole checklist so positions stay sequential
+    await Promise.all(
+      reordered
+        .map((s, position) => s.position !== position ? updateSubtask(s.id, { position }) : null)
+        .filter(Boolean)
+    )
+  }
+
+  // Copy a task's checklist (unchecked) onto another task, e.g. the next occurrence of a recurring task
+  // Returns the new checklist items
+  const copySubtasks = async (fromTaskId, toTaskId) => {
+    const items = getSubtasksForTask(subtasks, fromTaskId)
+    if (items.length === 0) return []
+
+    try {
+      const { data, error } = await supabase
+        .from('subtasks')
+        .insert(items.map((s, position) => ({ task_id: toTaskId, title: s.title, position, completed: false })))
+        .select()
+
+      if (error) throw error
+      mergeRows(data || [])
+      return data || []
+    } catch (error) {
+      toast.error('Error copying subtasks')
+      console.error('Error:', error)
+      return []
+    }
+  }
+
+  return { subtasks, addSubtask, updateSubtask, deleteSubtask, moveSubtask, copySubtasks, restoreSubtasks }
+}
+
+/**
+ * Ordered checklist items of one task
+ */
+export function getSubtasksForTask(subtasks, taskId) {
+  return subtasks
+    .filter(s => s.task_id === taskId)
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+}
+
+/**
+ * Checklist progress of one task, e.g. { done: 2, total: 3 }
+ */
+export function getSubtaskProgress(subtasks, taskId) {
+  const items = subtasks.filter(s => s.task_id === taskId)
+  return {
+    done: items.filter(s => s.completed).length,
+    total: items.length,
+  }
+}
@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+import { ATTACHMENT_STORAGE, buildAttachmentPath, getAttachmentStorage } from '@/utils/attachmentStorage'
+
+// Load attachment metadata for all tasks and keep it in sync in realtime
+export function useTaskAttachments() {
+  const supabase = useSupabaseClient()
+  const user = useUser()
+  const {
+    rows: attachments,
+    setRows: setAttachments,
+    fetchRows: fetchAttachments,
+    mergeRows,
+  } = useRealtimeTable('task_attachments', { order: ['created_at'], label: 'attachments' })
+  const [uploadingTaskId, setUploadingTaskId] = useState(null)
+
+  const uploadAttachment = async (taskId, file) => {
+    const storage = getAttachmentStorage(supabase)
+    const path = buildAttachmentPath(taskId, file.name)
+    setUploadingTaskId(taskId)
+
+    try {
+      await storage.upload(path, file)
+
+      const { data, error } = await supabase
+        .from('task_attachments')
+        .insert([{
+          task_id: taskId,
+          file_name: file.name,
+          file_path: path,
+          content_type: file.type || null,
+          size_bytes: file.size,
+          storage: ATTACHMENT_STORAGE,
+          uploaded_by: user?.id || null,
+        }])
+        .select()
+        .single()
+
+      if (error) {
+        // Don't leave an orphaned file behind
+        await storage.remove(path).catch(() => {})
+        throw error
+      }
+
+      mergeRows([data])
+      toast.success(`Attached ${file.name}`)
+    } catch (error) {
+      toast.error('Error uploading attachment')
+      console.error('Error:', error)
+    } finally {
+      setUploadingTaskId(null)
+    }
+  }
+
+  // URL to preview or (with `download`) save the file; null if it can't be resolved
+  const getAttachmentUrl = async (attachment, { download = false } = {}) => {
+    try {
+      return await getAttachmentStorage(supabase, attachment.storage)
+        .getUrl(attachment.file_path, { download: download ? attachment.file_name : undefined })
+    } catch (error) {
+      toast.error('Error opening attachment')
+      console.error('Error:', error)
+      return null
+    }
+  }
+
+  const deleteAttachment = async (attachment) => {
+    setAttachments(prev => prev.filter(a => a.id !== attachment.id))
+
+    try {
+      const { error } = await supabase
+        .from('task_attachments')
+        .delete()
+        .eq('id', attachment.id)
+
+      if (error) throw error
+      await getAttachmentStorage(supabase, attachment.storage).remove(attachment.file_path)
+    } catch (error) {
+      toast.error('Error deleting attachment')
+      console.error('Error:', error)
+      fetchAttachments()
+    }
+  }
+
+  // After tasks are deleted: their attachment rows go with them (ON DELETE CASCADE), but the files don't
+  const removeTaskAttachments = async (taskIds) => {
+    const removed = attachments.filter(a => taskIds.includes(a.task_id))
+    setAttachments(prev => prev.filter(a => !taskIds.includes(a.task_id)))
+
+    const results = await Promise.allSettled(removed
+      .map(a => getAttachmentStorage(supabase, a.storage).remove(a.file_path)))
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Error:', result.reason))
+  }
+
+  return { attachments, uploadingTaskId, uploadAttachment, getAttachmentUrl, deleteAttachment, removeTaskAttachments }
+}
+
+/**
+ * Attachments of one task, oldest first
+ */
+export function getAttachmentsForTask(attachments, taskId) {
+  return attachments
+    .filter(a => a.task_id === taskId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+}
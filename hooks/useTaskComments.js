@@ -0,0 +1,62 @@
+import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+
+// Load comments for all tasks (for the count badges) and keep them in sync in realtime
+export function useTaskComments() {
+  const supabase = useSupabaseClient()
+  const user = useUser()
+  const {
+    rows: comments,
+    setRows: setComments,
+    fetchRows: fetchComments,
+    mergeRows,
+    restoreRows: restoreComments,
+  } = useRealtimeTable('task_comments', { order: ['created_at'], label: 'comments' })
+
+  const addComment = async (taskId, body) => {
+    try {
+      const { data, error } = await supabase
+        .from('task_comments')
+        .insert([{ task_id: taskId, author_id: user?.id || null, body }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+      return true
+    } catch (error) {
+      toast.error('Error adding comment')
+      console.error('Error:', error)
+      return false
+    }
+  }
+
+  const deleteComment = async (id) => {
+    setComments(prev => prev.filter(c => c.id !== id))
+
+    try {
+      const { error } = await supabase
+        .from('task_comments')
+        .delete()
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error deleting comment')
+      console.error('Error:', error)
+      fetchComments()
+    }
+  }
+
+  return { comments, addComment, deleteComment, restoreComments }
+}
+
+/**
+ * Comments of one task, oldest first
+ */
+export function getCommentsForTask(comments, taskId) {
+  return comments
+    .filter(c => c.task_id === taskId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+}
@@ -0,0 +1,82 @@
+import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+
+// Saved Tasks tab views, shared by the whole team and kept in sync in realtime
+export function useTaskViews() {
+  const supabase = useSupabaseClient()
+  const user = useUser()
+  const {
+    rows: views,
+    setRows: setViews,
+    fetchRows: fetchViews,
+    mergeRows,
+    restoreRows,
+  } = useRealtimeTable('task_views', { order: ['name'], label: 'saved views' })
+
+  // Returns the new view, or null if it couldn't be saved
+  const createView = async (name, state) => {
+    try {
+      const { data, error } = await supabase
+        .from('task_views')
+        .insert([{ name, ...state, created_by: user?.id || null }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+      toast.success(`View "${name}" saved`)
+      return data
+    } catch (error) {
+      toast.error('Error saving view')
+      console.error('Error:', error)
+      return null
+    }
+  }
+
+  const updateView = async (id, updates) => {
+    setViews(prev => prev.map(v => v.id === id ? { ...v, ...updates } : v))
+
+    try {
+      const { error } = await supabase
+        .from('task_views')
+        .update(updates)
+        .eq('id', id)
+
+      if (error) throw error
+      toast.success('View updated')
+    } catch (error) {
+      toast.error('Error updating view')
+      console.error('Error:', error)
+      fetchViews()
+    }
+  }
+
+  const deleteView = async (id) => {
+    setViews(prev => prev.filter(v => v.id !== id))
+
+    try {
+      const { error } = await supabase
+        .from('task_views')
+        .delete()
+        .eq('id', id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error deleting view')
+      console.error('Error:', error)
+      fetchViews()
+    }
+  }
+
+  // Put a deleted view back (undo)
+  const restoreView = (view) => restoreRows([view])
+
+  return {
+    views: [...views].sort((a, b) => a.name.localeCompare(b.name)),
+    createView,
+    updateView,
+    deleteView,
+    restoreView,
+  }
+}
@@ -0,0 +1,61 @@
+import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react'
+import toast from 'react-hot-toast'
+import { useRealtimeTable } from '@/hooks/useRealtimeTable'
+import { getRunningEntry } from '@/utils/timeTracking'
+
+// Load time entries for all tasks, keep them in sync in realtime and run the current user's timer
+export function useTimeEntries() {
+  const supabase = useSupabaseClient()
+  const user = useUser()
+  const {
+    rows: timeEntries,
+    setRows: setTimeEntries,
+    fetchRows: fetchTimeEntries,
+    mergeRows,
+    restoreRows: restoreTimeEntries,
+  } = useRealtimeTable('time_entries', { order: ['started_at'], label: 'time entries' })
+
+  const runningEntry = getRunningEntry(timeEntries, user?.id)
+
+  const stopTimer = async (entry = runningEntry) => {
+    if (!entry) return
+
+    const endedAt = new Date().toISOString()
+    setTimeEntries(prev => prev.map(e => e.id === entry.id ? { ...e, ended_at: endedAt } : e))
+
+    try {
+      const { error } = await supabase
+        .from('time_entries')
+        .update({ ended_at: endedAt })
+        .eq('id', entry.id)
+
+      if (error) throw error
+    } catch (error) {
+      toast.error('Error stopping timer')
+      console.error('Error:', error)
+      fetchTimeEntries()
+    }
+  }
+
+  // Starting a timer stops whatever the user was timing before
+  const startTimer = async (taskId) => {
+    if (!user) return
+    if (runningEntry) await stopTimer(runningEntry)
+
+    try {
+      const { data, error } = await supabase
+        .from('time_entries')
+        .insert([{ task_id: taskId, user_id: user.id, started_at: new Date().toISOString() }])
+        .select()
+        .single()
+
+      if (error) throw error
+      mergeRows([data])
+    } catch (error) {
+      toast.error('Error starting timer')
+      console.error('Error:', error)
+    }
+  }
+
+  return { timeEntries, runningEntry, startTimer, stopTimer, restoreTimeEntries }
+}
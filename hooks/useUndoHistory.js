@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import { isTextField } from '@/utils/keyboard'
+
+const HISTORY_LIMIT = 50
+
+// Session-level undo/redo stack with Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+// Entries are { label, undo, redo } where undo/redo are async callbacks
+// An optional mergeKey folds an entry into the newest one with the same key (e.g. one step per typed field)
+export function useUndoHistory() {
+  const pastRef = useRef([])
+  const futureRef = useRef([])
+  const busyRef = useRef(false)
+  const [counts, setCounts] = useState({ past: 0, future: 0 })
+
+  const syncCounts = useCallback(() => {
+    setCounts({ past: pastRef.current.length, future: futureRef.current.length })
+  }, [])
+
+  const record = useCallback((entry) => {
+    const last = pastRef.current[pastRef.current.length - 1]
+    if (entry.mergeKey && last?.mergeKey === entry.mergeKey && futureRef.current.length === 0) {
+      // Keep the oldest undo so the whole run of edits is undone at once
+      last.redo = entry.redo
+      return last
+    }
+
+    pastRef.current = [...pastRef.current, entry].slice(-HISTORY_LIMIT)
+    futureRef.current = []
+    syncCounts()
+    return entry
+  }, [syncCounts])
+
+  // Move the newest entry from one stack to the other, running its undo or redo callback
+  const step = useCallback(async (fromRef, toRef, action, verb) => {
+    const entry = fromRef.current[fromRef.current.length - 1]
+    if (!entry || busyRef.current) return
+
+    busyRef.current = true
+    fromRef.current = fromRef.current.slice(0, -1)
+
+    try {
+      await entry[action]()
+      toRef.current = [...toRef.current, entry]
+      toast.success(`${verb} ${entry.label}`)
+    } catch (error) {
+      // Keep the entry so the user can try again
+      fromRef.current = [...fromRef.current, entry]
+      toast.error(`Error trying to ${action} ${entry.label}`)
+      console.error('Error:', error)
+    } finally {
+      busyRef.current = false
+      syncCounts()
+    }
+  }, [syncCounts])
+
+  const undo = useCallback(() => step(pastRef, futureRef, 'undo', 'Undid'), [step])
+  const redo = useCallback(() => step(futureRef, pastRef, 'redo', 'Redid'), [step])
+
+  // Undo a specific entry (e.g. from its toast) only while nothing newer is on the stack
+  const undoEntry = useCallback((entry) => {
+    if (pastRef.current[pastRef.current.length - 1] !== entry) {
+      toast.error('Undo the newer changes first')
+      return
+    }
+    return undo()
+  }, [undo])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Leave Ctrl+Z to the browser while the user is typing
+      if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  return {
+    record,
+    undo,
+    redo,
+    undoEntry,
+    canUndo: counts.past > 0,
+    canRedo: counts.future > 0,
+  }
+}
@@ -0,0 +1,106 @@
+export const ATTACHMENT_BUCKET = 'task-attachments'
+export const MAX_ATTACHMENT_SIZE = 10485760 // 10MB
+export const ATTACHMENT_ACCEPT = 'image/*,.pdf,.doc,.docx,.xls,.xlsx,.csv,.txt'
+
+// 'supabase' by default; set NEXT_PUBLIC_ATTACHMENT_STORAGE=local to keep files in the browser during development
+export const ATTACHMENT_STORAGE = process.env.NEXT_PUBLIC_ATTACHMENT_STORAGE === 'local' ? 'local' : 'supabase'
+
+const LOCAL_DB_NAME = 'memory-grove-attachments'
+const LOCAL_STORE_NAME = 'files'
+
+/**
+ * Storage path for a new upload, e.g. "<task id>/1718000000000-proof_v2.pdf"
+ */
+export function buildAttachmentPath(taskId, fileName) {
+  const safeName = fileName.replace(/[^\w.-]+/g, '_')
+  return `${taskId}/${Date.now()}-${safeName}`
+}
+
+/**
+ * Human readable file size, e.g. "1.2 MB"
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return '0 B'
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1048576) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1048576).toFixed(1)} MB`
+}
+
+export function isImageAttachment(attachment) {
+  return (attachment.content_type || '').startsWith('image/')
+}
+
+function createSupabaseStorage(supabase, bucketName) {
+  const bucket = supabase.storage.from(bucketName)
+
+  return {
+    async upload(path, file) {
+      const { error } = await bucket.upload(path, file, { contentType: file.type || undefined })
+      if (error) throw error
+    },
+    // Short-lived signed URL; `download` sets the file name the browser saves it as
+    async getUrl(path, { download } = {}) {
+      const { data, error } = await bucket.createSignedUrl(path, 60, download ? { download } : undefined)
+      if (error) throw error
+      return data.signedUrl
+    },
+    async download(path) {
+      const { data, error } = await bucket.download(path)
+      if (error) throw error
+      return data
+    },
+    async remove(path) {
+      const { error } = await bucket.remove([path])
+      if (error) throw error
+    },
+  }
+}
+
+function openLocalDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function runLocalRequest(mode, makeRequest) {
+  const db = await openLocalDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(LOCAL_STORE_NAME, mode)
+    const request = makeRequest(transaction.objectStore(LOCAL_STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// IndexedDB stand-in for the storage bucket; files are only visible in the browser that uploaded them
+function createLocalStorage() {
+  return {
+    async upload(path, file) {
+      await runLocalRequest('readwrite', store => store.put(file, path))
+    },
+    async getUrl(path) {
+      const file = await runLocalRequest('readonly', store => store.get(path))
+      if (!file) throw new Error(`"${path}" is not in this browser's local attachment storage`)
+      return URL.createObjectURL(file)
+    },
+    async download(path) {
+      const file = await runLocalRequest('readonly', store => store.get(path))
+      if (!file) throw new Error(`"${path}" is not in this browser's local attachment storage`)
+      return file
+    },
+    async remove(path) {
+      await runLocalRequest('readwrite', store => store.delete(path))
+    },
+  }
+}
+
+/**
+ * Storage backend for attachments; each attachment row records which backend holds its file
+ * Other uploads (e.g. budget receipts) pass their own bucket
+ */
+export function getAttachmentStorage(supabase, storage = ATTACHMENT_STORAGE, bucket = ATTACHMENT_BUCKET) {
+  return storage === 'local' ? createLocalStorage() : createSupabaseStorage(supabase, bucket)
+}
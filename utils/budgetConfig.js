@@ -0,0 +1,89 @@
+/**
+ * Budget used until one is saved in the budget_settings table
+ * Matches the original $7,000 launch budget
+ */
+export const DEFAULT_TOTAL_BUDGET = 7000
+
+export function normalizeTotalBudget(settings) {
+  const total = parseFloat(settings?.total_budget)
+  return isNaN(total) || total < 0 ? DEFAULT_TOTAL_BUDGET : total
+}
+
+/**
+ * Share of `cap` that `amount` uses, as a number (may exceed 100)
+ */
+export function getPercentUsed(amount, cap) {
+  return cap > 0 ? (amount / cap) * 100 : 0
+}
+
+/**
+ * Per-category totals against the allocations, one entry per allocated or used category
+ * { name, allocation (null when the category has none), budgeted, actual, percentUsed,
+ *   overAllocatedBy (line items budgeted past the cap), overSpentBy (spent past the cap) }
+ */
+export function getCategorySummaries(items, categories) {
+  const byName = new Map()
+  const entry = (name) => {
+    if (!byName.has(name)) byName.set(name, { name, allocation: null, budgeted: 0, actual: 0 })
+    return byName.get(name)
+  }
+
+  categories.forEach(category => {
+    if (category.allocation !== null && category.allocation !== undefined) {
+      entry(category.name).allocation = parseFloat(category.allocation)
+    }
+  })
+  items.forEach(item => {
+    const summary = entry((item.category || '').trim() || 'Uncategorized')
+    summary.budgeted += parseFloat(item.budgeted || 0)
+    summary.actual += parseFloat(item.actual || 0)
+  })
+
+  return [...byName.values()]
+    .map(summary => {
+      const cap = summary.allocation
+      return {
+        ...summary,
+        percentUsed: cap === null ? 0 : getPercentUsed(summary.actual, cap),
+        overAllocatedBy: cap === null ? 0 : Math.max(summary.budgeted - cap, 0),
+        overSpentBy: cap === null ? 0 : Math.max(summary.actual - cap, 0),
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * How a category's spend is treated in the profit & loss report
+ * Inventory purchases are already in cost of goods and campaign spend is the marketing line,
+ * so only operating categories count as operating expenses
+ */
+export const PL_TYPES = [
+  { value: 'operating', label: 'Operating expense' },
+  { value: 'inventory', label: 'Inventory (in cost of goods)' },
+  { value: 'marketing', label: 'Marketing (in campaign spend)' },
+  { value: 'excluded', label: 'Leave out of P&L' },
+]
+
+export function getCategoryPlType(categories, name) {
+  return categories.find(category => category.name === (name || '').trim())?.pl_type || 'operating'
+}
+
+/**
+ * Sum of all category allocations
+ */
+export function getAllocatedTotal(categories) {
+  return categories.reduce((sum, category) => sum + parseFloat(category.allocation || 0), 0)
+}
+
+/**
+ * Bar color for a usage percentage, matching the summary panel
+ */
+export function getUsageColor(percent) {
+  if (percent > 100) return 'bg-red-600'
+  if (percent > 80) return 'bg-amber-500'
+  return 'bg-green-600'
+}
+
+export function formatCurrency(amount) {
+  return `$${Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`
+}
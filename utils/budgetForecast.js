@@ -0,0 +1,107 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns'
+import { normalizeSprint } from './sprintConfig'
+
+/*
+ * Burn-rate forecast for the Budget tab, based on the dated budget transactions.
+ * Spend before the sprint starts counts toward the total but not toward the daily rate;
+ * transactions dated after today are left out until their day comes.
+ */
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+// Sprint span plus how many of its days have started, or null without a start date
+function getSprintSpan(sprint, today) {
+  const { start_date, num_weeks } = normalizeSprint(sprint)
+  if (!start_date) return null
+
+  const start = parseISO(start_date)
+  const totalDays = num_weeks * 7
+  const elapsedDays = Math.min(Math.max(differenceInCalendarDays(today, start) + 1, 0), totalDays)
+  return { start, totalDays, elapsedDays, end: addDays(start, totalDays - 1) }
+}
+
+// Net spend per date, oldest first: [{ date, amount }]
+function getDailySpend(transactions) {
+  const totals = new Map()
+  transactions.forEach(transaction => {
+    if (!transaction.date) return
+    totals.set(transaction.date, (totals.get(transaction.date) || 0) + parseFloat(transaction.amount || 0))
+  })
+  return [...totals].map(([date, amount]) => ({ date, amount })).sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Cumulative spend through each date: (date) => amount
+function createSpendLookup(dailySpend) {
+  return (date) => {
+    const key = format(date, 'yyyy-MM-dd')
+    return dailySpend.filter(day => day.date <= key).reduce((sum, day) => sum + day.amount, 0)
+  }
+}
+
+/**
+ * Daily spend rate, projected end-of-sprint spend and the date the budget runs out at the current pace
+ * Returns null without a sprint start date. `runOutDate` is null when nothing is being spent yet;
+ * once the budget is used up it's the day spending reached it (the first spend when the budget is 0).
+ */
+export function getBurnRateForecast(transactions, sprint, totalBudget, today = new Date()) {
+  const span = getSprintSpan(sprint, today)
+  if (!span) return null
+
+  const { start, end, totalDays, elapsedDays } = span
+  const dailySpend = getDailySpend(transactions)
+  const spentThrough = createSpendLookup(dailySpend)
+  const spent = spentThrough(today)
+  const openingSpend = spentThrough(addDays(start, -1))
+  const spentToDate = elapsedDays > 0 ? spentThrough(addDays(start, elapsedDays - 1)) : openingSpend
+  const dailyRate = elapsedDays > 0 ? Math.max(spentToDate - openingSpend, 0) / elapsedDays : 0
+  const projectedSpend = spent + dailyRate * (totalDays - elapsedDays)
+
+  let runOutDate = null
+  if (spent > 0 && spent >= totalBudget) {
+    let cumulative = 0
+    const overDay = dailySpend.find(day => {
+      cumulative += day.amount
+      return cumulative > 0 && cumulative >= totalBudget
+    })
+    runOutDate = overDay ? parseISO(overDay.date) : null
+  } else if (dailyRate > 0) {
+    runOutDate = addDays(today, Math.ceil((totalBudget - spent) / dailyRate))
+  }
+
+  return {
+    spent: roundCents(spent),
+    dailyRate: roundCents(dailyRate),
+    projectedSpend: roundCents(projectedSpend),
+    projectedRemaining: roundCents(totalBudget - projectedSpend),
+    isOverBudget: spent > totalBudget,
+    runOutDate: runOutDate ? format(runOutDate, 'yyyy-MM-dd') : null,
+    runsOutBeforeEnd: Boolean(runOutDate) && runOutDate <= end,
+    endDate: format(end, 'yyyy-MM-dd'),
+    elapsedDays,
+    totalDays,
+  }
+}
+
+/**
+ * Cumulative spend vs. a linear plan per sprint day, or [] without a sprint start date
+ * The first point ("Start") is the spend before the sprint; `forecast` continues the current pace from today
+ */
+export function getSpendForecastData(transactions, sprint, totalBudget, today = new Date()) {
+  const span = getSprintSpan(sprint, today)
+  if (!span) return []
+
+  const { start, totalDays, elapsedDays } = span
+  const forecast = getBurnRateForecast(transactions, sprint, totalBudget, today)
+  const spentThrough = createSpendLookup(getDailySpend(transactions))
+  const spentToDate = spentThrough(addDays(start, elapsedDays - 1))
+
+  return Array.from({ length: totalDays + 1 }, (_, day) => ({
+    day,
+    label: day === 0 ? 'Start' : format(addDays(start, day - 1), 'MMM d'),
+    planned: roundCents(totalBudget * day / totalDays),
+    actual: day <= elapsedDays ? roundCents(spentThrough(addDays(start, day - 1))) : null,
+    forecast: day >= elapsedDays ? roundCents(spentToDate + forecast.dailyRate * (day - elapsedDays)) : null,
+  }))
+}
@@ -0,0 +1,93 @@
+export const PAYMENT_METHODS = [
+  { value: '', label: '—' },
+  { value: 'card', label: 'Card' },
+  { value: 'bank_transfer', label: 'Bank transfer' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'check', label: 'Check' },
+  { value: 'paypal', label: 'PayPal' },
+  { value: 'other', label: 'Other' },
+]
+
+export function getPaymentMethodLabel(value) {
+  if (!value) return ''
+  return PAYMENT_METHODS.find(method => method.value === value)?.label || value
+}
+
+/**
+ * Sum of transaction amounts (refunds are negative)
+ */
+export function getLedgerTotal(transactions) {
+  return transactions.reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0)
+}
+
+/**
+ * Budget items with `actual` taken from their transactions, so totals update before the database trigger echoes back
+ */
+export function withLedgerActuals(items, transactions) {
+  const totals = new Map()
+  transactions.forEach(transaction => {
+    totals.set(transaction.budget_item_id, (totals.get(transaction.budget_item_id) || 0) + parseFloat(transaction.amount || 0))
+  })
+  return items.map(item => ({ ...item, actual: totals.get(item.id) || 0 }))
+}
+
+export const RECEIPT_BUCKET = 'budget-receipts'
+export const RECEIPT_ACCEPT = 'image/*,.pdf'
+
+/**
+ * Expenses need a receipt on file; refunds and zero amounts don't
+ */
+export function isMissingReceipt(transaction) {
+  return parseFloat(transaction.amount || 0) > 0 && !transaction.receipt_path
+}
+
+export function getMissingReceiptCount(transactions) {
+  return transactions.filter(isMissingReceipt).length
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40)
+}
+
+/**
+ * Path of a transaction's receipt inside the export bundle, e.g. "receipts/2026-10-01-office-depot-1a2b3c4d.pdf"
+ * The id suffix keeps names unique when the same vendor is paid twice on one day
+ */
+export function getReceiptArchivePath(transaction, item) {
+  const extension = (transaction.receipt_name || '').match(/\.[a-z0-9]+$/i)?.[0].toLowerCase() || ''
+  const label = slugify(transaction.vendor) || slugify(item?.item) || 'receipt'
+  return `receipts/${transaction.date}-${label}-${String(transaction.id).slice(0, 8)}${extension}`
+}
+
+export const RECEIPT_MANIFEST_HEADERS = ['date', 'category', 'item', 'vendor', 'amount', 'payment_method', 'memo', 'receipt']
+
+/**
+ * Rows for the accountant's manifest, one per transaction in date order
+ * `receipt` is the file's path in the bundle, or MISSING for expenses without one
+ */
+export function getReceiptManifestRows(items, transactions) {
+  const itemsById = new Map(items.map(item => [item.id, item]))
+
+  return transactions
+    .filter(transaction => itemsById.has(transaction.budget_item_id))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .map(transaction => {
+      const item = itemsById.get(transaction.budget_item_id)
+      const archivePath = transaction.receipt_path ? getReceiptArchivePath(transaction, item) : null
+
+      return {
+        transaction,
+        archivePath,
+        row: {
+          date: transaction.date,
+          category: item.category || '',
+          item: item.item || '',
+          vendor: transaction.vendor || '',
+          amount: parseFloat(transaction.amount || 0).toFixed(2),
+          payment_method: getPaymentMethodLabel(transaction.payment_method),
+          memo: transaction.memo || '',
+          receipt: archivePath || (isMissingReceipt(transaction) ? 'MISSING' : ''),
+        },
+      }
+    })
+}
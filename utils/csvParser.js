@@ -1,20 +1,26 @@
+import { format } from 'date-fns'
+import { DEFAULT_SPRINT, normalizeSprint } from './sprintConfig'
+import { STARTER_TEMPLATE, instantiateSprintTemplate } from './sprintTemplates'
+import { formatTags } from './taskTags'
+
 /**
  * Parse CSV content into array of objects
- * Handles common edge cases like quoted values and commas within quotes
+ * Handles quoted values with commas, escaped quotes ("") and line breaks inside quotes
  */
 export function parseCSV(csvContent) {
   if (!csvContent || typeof csvContent !== 'string') {
     throw new Error('Invalid CSV content')
   }
 
-  const lines = csvContent.split(/\r?\n/).filter(line => line.trim())
+  const records = parseCSVRecords(csvContent)
+    .filter(record => record.values.length > 1 || record.values[0].trim())
   
-  if (lines.length < 2) {
+  if (records.length < 2) {
     throw new Error('CSV must contain headers and at least one data row')
   }
 
   // Parse headers
-  const headers = parseCSVLine(lines[0]).map(h => h.trim().toLowerCase())
+  const headers = records[0].values.map(h => h.trim().toLowerCase())
   
   // Validate required headers
   const requiredHeaders = ['week', 'day', 'task', 'priority']
@@ -28,45 +34,43 @@ export function parseCSV(csvContent) {
   const data = []
   const errors = []
   
-  for (let i = 1; i < lines.length; i++) {
-    try {
-      const values = parseCSVLine(lines[i])
-      
-      if (values.length !== headers.length) {
-        errors.push(`Row ${i + 1}: Column count mismatch (expected ${headers.length}, got ${values.length})`)
-        continue
-      }
-      
-      const row = {}
-      headers.forEach((header, index) => {
-        row[header] = values[index]?.trim() || ''
-      })
-      
-      // Skip empty rows
-      if (Object.values(row).every(v => !v)) {
-        continue
-      }
-      
-      data.push({ ...row, _rowNumber: i + 1 })
-    } catch (error) {
-      errors.push(`Row ${i + 1}: ${error.message}`)
+  for (const { values, line } of records.slice(1)) {
+    if (values.length !== headers.length) {
+      errors.push(`Row ${line}: Column count mismatch (expected ${headers.length}, got ${values.length})`)
+      continue
+    }
+    
+    const row = {}
+    headers.forEach((header, index) => {
+      row[header] = values[index]?.trim() || ''
+    })
+    
+    // Skip empty rows
+    if (Object.values(row).every(v => !v)) {
+      continue
     }
+    
+    data.push({ ...row, _rowNumber: line })
   }
   
   return { data, errors, headers }
 }
 
 /**
- * Parse a single CSV line handling quoted values
+ * Split CSV content into records in a single pass, so quoted values may span lines
+ * Each record is { values, line } where `line` is the file line the record starts on
  */
-function parseCSVLine(line) {
-  const values = []
+function parseCSVRecords(content) {
+  const records = []
+  let values = []
   let current = ''
   let inQuotes = false
+  let line = 1
+  let recordLine = 1
   
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i]
-    const nextChar = line[i + 1]
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    const nextChar = content[i + 1]
     
     if (char === '"') {
       if (inQuotes && nextChar === '"') {
@@ -81,15 +85,26 @@ function parseCSVLine(line) {
       // End of value
       values.push(current)
       current = ''
+    } else if ((char === '\n' || char === '\r') && !inQuotes) {
+      // End of record (\r\n counts once)
+      if (char === '\r' && nextChar === '\n') i++
+      values.push(current)
+      records.push({ values, line: recordLine })
+      values = []
+      current = ''
+      line++
+      recordLine = line
     } else {
+      if (char === '\n') line++
       current += char
     }
   }
   
-  // Add last value
+  // Add last record
   values.push(current)
+  records.push({ values, line: recordLine })
   
-  return values
+  return records
 }
 
 /**
@@ -113,11 +128,24 @@ export function generateCSV(data, headers) {
   return [headerLine, ...dataLines].join('\n')
 }
 
+/**
+ * Trigger a browser download of CSV content
+ */
+export function downloadCSV(content, filename) {
+  const blob = new Blob([content], { type: 'text/csv' })
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  window.URL.revokeObjectURL(url)
+}
+
 /**
  * Escape CSV value if it contains special characters
  */
 function escapeCSVValue(value) {
-  if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+  if (value.includes(',') || value.includes('"') || value.includes('\n') || value.includes('\r')) {
     return `"${value.replace(/"/g, '""')}"`
   }
   return value
@@ -125,38 +153,51 @@ function escapeCSVValue(value) {
 
 /**
  * Create a CSV template for tasks
+ * Sample rows are limited to the sprint's weeks and dated from its start date (or today)
  */
-export function createTaskCSVTemplate() {
-  const template = [
-    {
-      week: '1',
-      day: 'Day 1-2',
-      task: 'Set up business structure and legal foundation',
-      priority: 'high',
-      status: 'pending',
-      due_date: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      notes: 'Register LLC, obtain EIN, and set up business bank account'
-    },
-    {
-      week: '1',
-      day: 'Day 3-4',
-      task: 'Research local funeral homes and healthcare facilities',
-      priority: 'medium',
-      status: 'pending',
-      due_date: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      notes: 'Create list of potential partners in San Diego area'
-    },
-    {
-      week: '2',
-      day: 'Day 8-9',
-      task: 'Finalize product packaging and branding',
-      priority: 'high',
-      status: 'pending',
-      due_date: new Date(Date.now() + 9 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-      notes: 'Work with designer on memorial-appropriate packaging'
-    }
-  ]
+export function createTaskCSVTemplate(sprint = DEFAULT_SPRINT) {
+  const { num_weeks, start_date } = normalizeSprint(sprint)
+  const startDate = start_date || format(new Date(), 'yyyy-MM-dd')
   
-  const headers = ['week', 'day', 'task', 'priority', 'status', 'due_date', 'notes']
+  // Sample rows come from the built-in starter template; the CSV has no ids
+  const template = instantiateSprintTemplate(STARTER_TEMPLATE, startDate, { createId: () => null })
+    .filter(task => task.week <= num_weeks)
+    .map(task => ({
+      week: String(task.week),
+      day: task.day,
+      task: task.task,
+      priority: task.priority,
+      status: task.status,
+      due_date: task.due_date,
+      notes: task.notes,
+      assignee: '',
+      tags: formatTags(task.tags)
+    }))
+  
+  const headers = ['week', 'day', 'task', 'priority', 'status', 'due_date', 'notes', 'assignee', 'tags']
   return generateCSV(template, headers)
-}
\ No newline at end of file
+}
+
+/**
+ * Create a CSV export of tasks that can be edited and re-imported
+ * Rows keep their `id` so the import updates them instead of creating copies
+ */
+export function createTaskCSVExport(tasks, profiles = []) {
+  const rows = [...tasks]
+    .sort((a, b) => (a.week - b.week) || String(a.day).localeCompare(String(b.day), undefined, { numeric: true }) || (a.position || 0) - (b.position || 0))
+    .map(task => ({
+      id: task.id,
+      week: String(task.week),
+      day: task.day,
+      task: task.task,
+      priority: task.priority,
+      status: task.status,
+      due_date: task.due_date || '',
+      notes: task.notes || '',
+      assignee: profiles.find(p => p.id === task.assignee_id)?.email || '',
+      tags: formatTags(task.tags)
+    }))
+  
+  const headers = ['id', 'week', 'day', 'task', 'priority', 'status', 'due_date', 'notes', 'assignee', 'tags']
+  return generateCSV(rows, headers)
+}
@@ -0,0 +1,10 @@
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file']
+
+/**
+ * Is the element somewhere the user types (so keyboard shortcuts should leave keys alone)?
+ */
+export function isTextField(element) {
+  if (!element) return false
+  if (element.tagName === 'INPUT') return !NON_TEXT_INPUT_TYPES.includes(element.type)
+  return element.tagName === 'TEXTAREA' || element.isContentEditable
+}
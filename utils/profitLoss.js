@@ -0,0 +1,156 @@
+import { addDays, differenceInCalendarDays, format, parseISO, startOfWeek } from 'date-fns'
+import { getCategoryPlType } from './budgetConfig'
+import { generateCSV } from './csvParser'
+
+/*
+ * Weekly profit & loss built from the other tabs' data:
+ * - revenue and units sold from daily_metrics
+ * - cost of goods: units sold x the cost of one unit, i.e. one of each inventory component at its unit_cost
+ * - marketing: campaign spend, spread evenly over the campaign's start..end dates (else its start or post date)
+ * - operating expenses: budget ledger transactions whose item's category is an operating category
+ *   (inventory and marketing categories are already counted above; excluded ones are left out)
+ * Weeks start on Monday.
+ */
+
+function getWeekKey(date) {
+  return format(startOfWeek(parseISO(date), { weekStartsOn: 1 }), 'yyyy-MM-dd')
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Cost of goods for one unit sold: one of each inventory component
+ */
+export function getUnitCost(inventoryItems) {
+  return roundCents(inventoryItems.reduce((sum, item) => sum + parseFloat(item.unit_cost || 0), 0))
+}
+
+// [{ date, amount }] for a campaign's spend
+function getCampaignSpendByDay(campaign) {
+  const spend = parseFloat(campaign.spend || 0)
+  if (!spend) return []
+
+  if (campaign.start_date && campaign.end_date && campaign.end_date >= campaign.start_date) {
+    const start = parseISO(campaign.start_date)
+    const days = differenceInCalendarDays(parseISO(campaign.end_date), start) + 1
+    return Array.from({ length: days }, (_, index) => ({
+      date: format(addDays(start, index), 'yyyy-MM-dd'),
+      amount: spend / days,
+    }))
+  }
+
+  const date = campaign.start_date || campaign.date
+  return date ? [{ date, amount: spend }] : []
+}
+
+/**
+ * Margin as a percentage of revenue, or null without revenue
+ */
+export function getMargin(profit, revenue) {
+  return revenue > 0 ? Math.round((profit / revenue) * 1000) / 10 : null
+}
+
+function withProfit(row) {
+  const grossProfit = row.revenue - row.cogs
+  const netProfit = grossProfit - row.marketing - row.operating
+
+  return {
+    ...row,
+    revenue: roundCents(row.revenue),
+    cogs: roundCents(row.cogs),
+    marketing: roundCents(row.marketing),
+    operating: roundCents(row.operating),
+    grossProfit: roundCents(grossProfit),
+    grossMargin: getMargin(grossProfit, row.revenue),
+    netProfit: roundCents(netProfit),
+    netMargin: getMargin(netProfit, row.revenue),
+  }
+}
+
+/**
+ * One P&L row per week that has any revenue or spend, oldest first
+ */
+export function getWeeklyProfitLoss({
+  metrics = [],
+  campaigns = [],
+  inventoryItems = [],
+  transactions = [],
+  budgetItems = [],
+  budgetCategories = [],
+}) {
+  const unitCost = getUnitCost(inventoryItems)
+  const categoryByItemId = new Map(budgetItems.map(item => [item.id, item.category]))
+  const weeks = new Map()
+
+  const add = (date, field, amount) => {
+    if (!date || !amount) return
+    const key = getWeekKey(date)
+    if (!weeks.has(key)) {
+      weeks.set(key, { weekStart: key, revenue: 0, units: 0, cogs: 0, marketing: 0, operating: 0 })
+    }
+    weeks.get(key)[field] += amount
+  }
+
+  metrics.forEach(metric => {
+    const units = parseInt(metric.units_sold || 0)
+    add(metric.date, 'revenue', parseFloat(metric.revenue || 0))
+    add(metric.date, 'units', units)
+    add(metric.date, 'cogs', units * unitCost)
+  })
+  campaigns.forEach(campaign => {
+    getCampaignSpendByDay(campaign).forEach(({ date, amount }) => add(date, 'marketing', amount))
+  })
+  transactions
+    .filter(transaction => getCategoryPlType(budgetCategories, categoryByItemId.get(transaction.budget_item_id)) === 'operating')
+    .forEach(transaction => add(transaction.date, 'operating', parseFloat(transaction.amount || 0)))
+
+  return [...weeks.values()]
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+    .map(week => ({ ...withProfit(week), label: `Week of ${format(parseISO(week.weekStart), 'MMM d, yyyy')}` }))
+}
+
+/**
+ * Totals across all weeks, with margins recomputed from the summed amounts
+ */
+export function getProfitLossTotals(rows) {
+  return withProfit(rows.reduce((acc, row) => ({
+    revenue: acc.revenue + row.revenue,
+    units: acc.units + row.units,
+    cogs: acc.cogs + row.cogs,
+    marketing: acc.marketing + row.marketing,
+    operating: acc.operating + row.operating,
+  }), { revenue: 0, units: 0, cogs: 0, marketing: 0, operating: 0 }))
+}
+
+const CSV_HEADERS = [
+  'week_start', 'revenue', 'units_sold', 'cost_of_goods', 'gross_profit', 'gross_margin_pct',
+  'marketing', 'operating_expenses', 'net_profit', 'net_margin_pct',
+]
+
+function toCSVRow(row, weekStart) {
+  const formatMargin = (margin) => margin === null ? '' : margin.toFixed(1)
+
+  return {
+    week_start: weekStart,
+    revenue: row.revenue.toFixed(2),
+    units_sold: String(row.units),
+    cost_of_goods: row.cogs.toFixed(2),
+    gross_profit: row.grossProfit.toFixed(2),
+    gross_margin_pct: formatMargin(row.grossMargin),
+    marketing: row.marketing.toFixed(2),
+    operating_expenses: row.operating.toFixed(2),
+    net_profit: row.netProfit.toFixed(2),
+    net_margin_pct: formatMargin(row.netMargin),
+  }
+}
+
+/**
+ * CSV of the weekly P&L with a final "Total" row
+ */
+export function createProfitLossCSV(rows) {
+  if (rows.length === 0) return ''
+  const lines = [...rows.map(row => toCSVRow(row, row.weekStart)), toCSVRow(getProfitLossTotals(rows), 'Total')]
+  return generateCSV(lines, CSV_HEADERS)
+}
@@ -0,0 +1,125 @@
+import { addDays, differenceInCalendarDays, format, isWeekend, parseISO } from 'date-fns'
+import { getDayNumber, compareSchedule } from './taskDependencies'
+import { getDateForSprintDay, normalizeSprint } from './sprintConfig'
+
+export const RECURRENCE_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Every weekday (Mon-Fri)' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'interval', label: 'Every N days' },
+]
+
+// Fields that "all future occurrences" edits copy across a series
+export const SERIES_FIELDS = ['task', 'priority', 'notes', 'assignee_id', 'estimate_hours', 'tags', 'auto_complete_subtasks', 'recurrence_rule', 'recurrence_interval']
+
+/**
+ * Human readable rule, e.g. "Every 3 days"
+ */
+export function describeRecurrence(task) {
+  if (!task.recurrence_rule) return null
+  if (task.recurrence_rule === 'interval') {
+    const interval = task.recurrence_interval || 1
+    return interval === 1 ? 'Daily' : `Every ${interval} days`
+  }
+  return RECURRENCE_OPTIONS.find(o => o.value === task.recurrence_rule)?.label || task.recurrence_rule
+}
+
+// Without a sprint start date, assume day 1 is a Monday so days 6 and 7 of each week are the weekend
+function isWeekendDay(dayNumber, sprint) {
+  const date = getDateForSprintDay(sprint, dayNumber)
+  if (date) return isWeekend(parseISO(date))
+  return (dayNumber - 1) % 7 >= 5
+}
+
+/**
+ * Sprint day number an occurrence is for: its due date's day when the sprint has a start date,
+ * else the first day of its label (a task in "Day 1-2" due on day 2 is on day 2)
+ */
+export function getOccurrenceDay(task, sprint) {
+  const { start_date, num_weeks } = normalizeSprint(sprint)
+  if (start_date && task.due_date) {
+    const dueDay = differenceInCalendarDays(parseISO(task.due_date), parseISO(start_date)) + 1
+    if (dueDay >= 1 && dueDay <= num_weeks * 7) return dueDay
+  }
+  return getDayNumber(task.day)
+}
+
+/**
+ * Sprint day number of the next occurrence, or null when it would fall after the sprint
+ */
+export function getNextOccurrenceDay(task, sprint) {
+  const currentDay = getOccurrenceDay(task, sprint)
+  if (!task.recurrence_rule || !currentDay) return null
+
+  const lastDay = normalizeSprint(sprint).num_weeks * 7
+  let nextDay
+
+  switch (task.recurrence_rule) {
+    case 'daily':
+      nextDay = currentDay + 1
+      break
+    case 'weekly':
+      nextDay = currentDay + 7
+      break
+    case 'interval':
+      nextDay = currentDay + Math.max(parseInt(task.recurrence_interval) || 1, 1)
+      break
+    case 'weekdays':
+      nextDay = currentDay + 1
+      while (isWeekendDay(nextDay, sprint) && nextDay <= lastDay) {
+        nextDay++
+      }
+      break
+    default:
+      return null
+  }
+
+  return nextDay <= lastDay ? nextDay : null
+}
+
+/**
+ * Build the task row for the occurrence after `task`, or null if the series is over
+ * Occurrences get a single-day label ("Day 9") so the next one is counted from the right day
+ */
+export function buildNextOccurrence(task, tasks, sprint) {
+  const nextDay = getNextOccurrenceDay(task, sprint)
+  if (!nextDay) return null
+
+  const week = Math.ceil(nextDay / 7)
+  const day = `Day ${nextDay}`
+  const offset = nextDay - getOccurrenceDay(task, sprint)
+  const dueDate = getDateForSprintDay(sprint, nextDay) ||
+    (task.due_date ? format(addDays(parseISO(task.due_date), offset), 'yyyy-MM-dd') : null)
+  const bucket = tasks.filter(t => t.week === week && t.day === day)
+
+  return {
+    task: task.task,
+    priority: task.priority,
+    notes: task.notes,
+    assignee_id: task.assignee_id || null,
+    estimate_hours: task.estimate_hours ?? null,
+    tags: task.tags || [],
+    auto_complete_subtasks: task.auto_complete_subtasks,
+    recurrence_rule: task.recurrence_rule,
+    recurrence_interval: task.recurrence_interval,
+    series_id: task.series_id || task.id,
+    status: 'pending',
+    completed: false,
+    week,
+    day,
+    due_date: dueDate,
+    position: bucket.length > 0 ? Math.max(...bucket.map(t => t.position || 0)) + 1 : 0,
+  }
+}
+
+/**
+ * Open occurrences of the task's series from this one onwards (including the task itself)
+ */
+export function getFutureOccurrences(task, tasks) {
+  if (!task.series_id) return [task]
+  return tasks.filter(t =>
+    t.series_id === task.series_id &&
+    (t.id === task.id || (!t.completed && compareSchedule(t, task) >= 0))
+  )
+}
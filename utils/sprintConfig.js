@@ -0,0 +1,68 @@
+import { addDays, format, parseISO } from 'date-fns'
+
+export const MAX_SPRINT_WEEKS = 52
+
+/**
+ * Sprint used until one is saved in the sprint_settings table
+ * Matches the original 30-day launch plan
+ */
+export const DEFAULT_SPRINT = {
+  name: 'Launch Sprint',
+  start_date: null,
+  num_weeks: 4,
+  week_titles: [
+    'Foundation & Legal Setup',
+    'Product Development & Marketing',
+    'Launch Preparation',
+    'Launch & Scale',
+  ],
+}
+
+/**
+ * Fill in any missing fields of a sprint row with defaults
+ */
+export function normalizeSprint(sprint) {
+  const numWeeks = parseInt(sprint?.num_weeks)
+  return {
+    ...DEFAULT_SPRINT,
+    ...(sprint || {}),
+    num_weeks: isNaN(numWeeks) ? DEFAULT_SPRINT.num_weeks : Math.min(Math.max(numWeeks, 1), MAX_SPRINT_WEEKS),
+    week_titles: Array.isArray(sprint?.week_titles) ? sprint.week_titles : DEFAULT_SPRINT.week_titles,
+  }
+}
+
+/**
+ * Build the list of weeks shown in TasksTab, e.g. { number: 1, title: 'Week 1: Foundation & Legal Setup' }
+ */
+export function getSprintWeeks(sprint) {
+  const { num_weeks, week_titles } = normalizeSprint(sprint)
+  return Array.from({ length: num_weeks }, (_, index) => {
+    const number = index + 1
+    const title = (week_titles[index] || '').trim()
+    return { number, title: title ? `Week ${number}: ${title}` : `Week ${number}` }
+  })
+}
+
+/**
+ * First day number of a week, e.g. week 2 starts on day 8
+ */
+export function getFirstDayOfWeek(week) {
+  return (week - 1) * 7 + 1
+}
+
+/**
+ * Default day label for the first tasks of a week, e.g. "Day 8-9"
+ */
+export function getDefaultDayLabel(week) {
+  const firstDay = getFirstDayOfWeek(week)
+  return `Day ${firstDay}-${firstDay + 1}`
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a sprint day number, or null when no start date is set
+ */
+export function getDateForSprintDay(sprint, dayNumber) {
+  const { start_date } = normalizeSprint(sprint)
+  if (!start_date || !dayNumber) return null
+  return format(addDays(parseISO(start_date), dayNumber - 1), 'yyyy-MM-dd')
+}
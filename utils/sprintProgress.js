@@ -0,0 +1,81 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns'
+import { normalizeSprint } from './sprintConfig'
+
+/**
+ * When a task was completed, or null if it's open
+ * Falls back to updated_at for completed rows that predate completed_at
+ */
+export function getCompletedAt(task) {
+  if (!task.completed) return null
+  const timestamp = task.completed_at || task.updated_at
+  return timestamp ? parseISO(timestamp) : null
+}
+
+/**
+ * Remaining vs. ideal open tasks per sprint day, or [] without a sprint start date
+ * The first point ("Start") is the sprint's opening scope; days after `today` have no remaining value
+ */
+export function getBurndownData(tasks, sprint, today = new Date()) {
+  const { start_date, num_weeks } = normalizeSprint(sprint)
+  if (!start_date) return []
+
+  const start = parseISO(start_date)
+  const totalDays = num_weeks * 7
+  const total = tasks.length
+  const completedOffsets = tasks
+    .map(getCompletedAt)
+    .filter(Boolean)
+    .map(date => differenceInCalendarDays(date, start))
+  const elapsedDays = differenceInCalendarDays(today, start) + 1
+
+  // Tasks still open at the end of sprint day `day` (day 0 = before the sprint starts)
+  const remainingAfter = (day) => total - completedOffsets.filter(offset => offset < day).length
+
+  return Array.from({ length: totalDays + 1 }, (_, day) => ({
+    day,
+    label: day === 0 ? 'Start' : format(addDays(start, day - 1), 'MMM d'),
+    ideal: Math.round(total * (1 - day / totalDays) * 10) / 10,
+    remaining: day <= elapsedDays ? remainingAfter(day) : null,
+  }))
+}
+
+/**
+ * Planned (scheduled in the week) vs. completed tasks per sprint week, or [] without a sprint start date
+ */
+export function getVelocityData(tasks, sprint) {
+  const { start_date, num_weeks } = normalizeSprint(sprint)
+  if (!start_date) return []
+
+  const start = parseISO(start_date)
+  const completedWeeks = tasks
+    .map(getCompletedAt)
+    .filter(Boolean)
+    .map(date => Math.floor(differenceInCalendarDays(date, start) / 7) + 1)
+
+  return Array.from({ length: num_weeks }, (_, index) => {
+    const week = index + 1
+    return {
+      week,
+      label: `Week ${week}`,
+      planned: tasks.filter(task => task.week === week).length,
+      completed: completedWeeks.filter(completedWeek => completedWeek === week).length,
+    }
+  })
+}
+
+/**
+ * Average tasks completed per week over the weeks that have started
+ */
+export function getAverageVelocity(velocity, sprint, today = new Date()) {
+  const { start_date } = normalizeSprint(sprint)
+  if (!start_date || velocity.length === 0) return 0
+
+  const weeksStarted = Math.min(
+    Math.max(Math.floor(differenceInCalendarDays(today, parseISO(start_date)) / 7) + 1, 0),
+    velocity.length
+  )
+  if (weeksStarted === 0) return 0
+
+  const completed = velocity.slice(0, weeksStarted).reduce((sum, week) => sum + week.completed, 0)
+  return Math.round((completed / weeksStarted) * 10) / 10
+}
@@ -0,0 +1,146 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns'
+import { normalizeSprint } from './sprintConfig'
+import { compareSchedule } from './taskDependencies'
+
+/*
+ * A sprint template is a reusable task set. Each template task stores its due date as a day offset from
+ * the sprint start (`due_offset`) instead of an absolute date, so the same template can be used for any
+ * launch. Dependencies and recurring series point at other tasks of the template by index.
+ */
+
+/**
+ * Built-in template with the original sample tasks (also used for the CSV template download)
+ */
+export const STARTER_TEMPLATE = {
+  id: 'starter',
+  name: 'Starter tasks',
+  description: 'A few sample tasks to show the format',
+  isBuiltIn: true,
+  num_weeks: 4,
+  week_titles: [],
+  tasks: [
+    {
+      week: 1,
+      day: 'Day 1-2',
+      task: 'Set up business structure and legal foundation',
+      priority: 'high',
+      notes: 'Register LLC, obtain EIN, and set up business bank account',
+      tags: ['legal'],
+      position: 0,
+      // Due at the end of the day range, e.g. day 2 for "Day 1-2"
+      due_offset: 1,
+    },
+    {
+      week: 1,
+      day: 'Day 3-4',
+      task: 'Research local funeral homes and healthcare facilities',
+      priority: 'medium',
+      notes: 'Create list of potential partners in San Diego area',
+      tags: ['partner-outreach'],
+      position: 0,
+      due_offset: 3,
+    },
+    {
+      week: 2,
+      day: 'Day 8-9',
+      task: 'Finalize product packaging and branding',
+      priority: 'high',
+      notes: 'Work with designer on memorial-appropriate packaging',
+      tags: ['packaging', 'design'],
+      position: 0,
+      due_offset: 8,
+    },
+  ],
+}
+
+/**
+ * Date the day offsets are measured from: the sprint start, or the earliest due date when no start is set
+ */
+export function getTemplateBaseDate(tasks, sprint) {
+  const { start_date } = normalizeSprint(sprint)
+  if (start_date) return start_date
+
+  const dueDates = tasks.map(task => task.due_date).filter(Boolean).sort()
+  return dueDates[0] || null
+}
+
+/**
+ * Turn the current tasks and sprint into a template row for the sprint_templates table
+ */
+export function createSprintTemplate({ name, description = '' }, tasks, sprint) {
+  const { num_weeks, week_titles } = normalizeSprint(sprint)
+  const baseDate = getTemplateBaseDate(tasks, sprint)
+  const ordered = [...tasks].sort((a, b) => compareSchedule(a, b) || (a.position || 0) - (b.position || 0))
+  const indexById = new Map(ordered.map((task, index) => [task.id, index]))
+  const seriesIndexes = new Map()
+
+  return {
+    name,
+    description,
+    num_weeks,
+    week_titles,
+    tasks: ordered.map(task => {
+      const seriesKey = task.series_id || null
+      if (seriesKey && !seriesIndexes.has(seriesKey)) seriesIndexes.set(seriesKey, seriesIndexes.size)
+
+      return {
+        week: task.week,
+        day: task.day,
+        task: task.task,
+        priority: task.priority,
+        notes: task.notes || '',
+        tags: task.tags || [],
+        estimate_hours: task.estimate_hours ?? null,
+        assignee_id: task.assignee_id || null,
+        auto_complete_subtasks: task.auto_complete_subtasks ?? true,
+        recurrence_rule: task.recurrence_rule || null,
+        recurrence_interval: task.recurrence_interval || 1,
+        position: task.position || 0,
+        due_offset: task.due_date && baseDate
+          ? differenceInCalendarDays(parseISO(task.due_date), parseISO(baseDate))
+          : null,
+        depends_on: (task.depends_on || []).filter(id => indexById.has(id)).map(id => indexById.get(id)),
+        series: seriesKey ? seriesIndexes.get(seriesKey) : null,
+      }
+    }),
+  }
+}
+
+/**
+ * New task rows for a template starting on `startDate` (YYYY-MM-DD). Due dates are recalculated from the
+ * offsets and positions are kept. Rows get fresh ids up front so dependencies and series can refer to them.
+ */
+export function instantiateSprintTemplate(template, startDate, { keepAssignees = true, createId = () => crypto.randomUUID() } = {}) {
+  const start = parseISO(startDate)
+  const ids = template.tasks.map(() => createId())
+  const seriesIds = new Map()
+
+  return template.tasks.map((task, index) => {
+    if (task.series !== null && task.series !== undefined && !seriesIds.has(task.series)) {
+      seriesIds.set(task.series, ids[index])
+    }
+
+    return {
+      id: ids[index],
+      week: task.week,
+      day: task.day,
+      task: task.task,
+      priority: task.priority || 'medium',
+      notes: task.notes || '',
+      tags: task.tags || [],
+      estimate_hours: task.estimate_hours ?? null,
+      assignee_id: keepAssignees ? task.assignee_id || null : null,
+      auto_complete_subtasks: task.auto_complete_subtasks ?? true,
+      recurrence_rule: task.recurrence_rule || null,
+      recurrence_interval: task.recurrence_interval || 1,
+      series_id: task.series !== null && task.series !== undefined ? seriesIds.get(task.series) : null,
+      depends_on: (task.depends_on || []).map(dependency => ids[dependency]).filter(Boolean),
+      position: task.position || 0,
+      due_date: task.due_offset !== null && task.due_offset !== undefined
+        ? format(addDays(start, task.due_offset), 'yyyy-MM-dd')
+        : null,
+      status: 'pending',
+      completed: false,
+    }
+  })
+}
@@ -0,0 +1,83 @@
+/**
+ * Parse the first day number out of a day label like "Day 8-9" or "Day 14"
+ * Returns null when the label has no number (e.g. "Unassigned")
+ */
+export function getDayNumber(day) {
+  const match = String(day || '').match(/\d+/)
+  return match ? parseInt(match[0]) : null
+}
+
+/**
+ * Compare two tasks (or { week, day } slots) by their place in the sprint
+ * Returns a negative number if a comes before b, positive if after, 0 if same slot
+ */
+export function compareSchedule(a, b) {
+  const weekDiff = (a.week || 0) - (b.week || 0)
+  if (weekDiff !== 0) return weekDiff
+
+  const dayA = getDayNumber(a.day)
+  const dayB = getDayNumber(b.day)
+  if (dayA === null || dayB === null) return 0
+  return dayA - dayB
+}
+
+/**
+ * Get the predecessor tasks of a task, ignoring ids that no longer exist
+ */
+export function getPredecessors(task, tasks) {
+  const ids = task.depends_on || []
+  return tasks.filter(t => ids.includes(t.id))
+}
+
+/**
+ * Get the predecessors that still have to be completed before the task can start
+ */
+export function getBlockingTasks(task, tasks) {
+  return getPredecessors(task, tasks).filter(t => !t.completed)
+}
+
+/**
+ * A task is blocked while any of its predecessors is not completed
+ */
+export function isTaskBlocked(task, tasks) {
+  return getBlockingTasks(task, tasks).length > 0
+}
+
+/**
+ * Collect the ids of every task that depends on the given task, directly or indirectly
+ * Used to keep the predecessor picker from creating dependency cycles
+ */
+export function getDependentTaskIds(taskId, tasks) {
+  const dependents = new Set()
+  const queue = [taskId]
+
+  while (queue.length > 0) {
+    const currentId = queue.shift()
+    tasks.forEach(t => {
+      if ((t.depends_on || []).includes(currentId) && !dependents.has(t.id)) {
+        dependents.add(t.id)
+        queue.push(t.id)
+      }
+    })
+  }
+
+  return dependents
+}
+
+/**
+ * Find predecessors that would be scheduled after the task if it moved to the given slot
+ */
+export function findScheduleConflicts(task, slot, tasks) {
+  return getPredecessors(task, tasks).filter(predecessor =>
+    !predecessor.completed && compareSchedule(slot, predecessor) < 0
+  )
+}
+
+/**
+ * Build a readable list of task names for warnings, e.g. "A", "B" and 2 more
+ */
+export function formatTaskNames(tasks, limit = 2) {
+  const names = tasks.slice(0, limit).map(t => `"${t.task}"`)
+  const extra = tasks.length - limit
+  return extra > 0 ? `${names.join(', ')} and ${extra} more` : names.join(' and ')
+}
@@ -0,0 +1,69 @@
+import { differenceInCalendarDays, isValid, parseISO } from 'date-fns'
+import { comparePriority } from './taskViews'
+
+// How far ahead "due soon" looks, in days after today
+export const DUE_SOON_DAYS = 3
+
+export const AGENDA_GROUPS = [
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'today', label: 'Due today' },
+  { value: 'soon', label: `Due in the next ${DUE_SOON_DAYS} days` },
+]
+
+/**
+ * Calendar days from today until the task is due (negative when overdue), or null without a valid due date
+ */
+export function getDaysUntilDue(task, today = new Date()) {
+  if (!task.due_date) return null
+  const dueDate = parseISO(task.due_date)
+  return isValid(dueDate) ? differenceInCalendarDays(dueDate, today) : null
+}
+
+/**
+ * 'overdue', 'today', 'soon' or null; completed tasks are never overdue or due
+ */
+export function getDueStatus(task, today = new Date(), days = DUE_SOON_DAYS) {
+  if (task.completed) return null
+
+  const daysUntilDue = getDaysUntilDue(task, today)
+  if (daysUntilDue === null) return null
+  if (daysUntilDue < 0) return 'overdue'
+  if (daysUntilDue === 0) return 'today'
+  return daysUntilDue <= days ? 'soon' : null
+}
+
+export function isTaskOverdue(task, today = new Date()) {
+  return getDueStatus(task, today) === 'overdue'
+}
+
+/**
+ * Short due label, e.g. "3 days overdue", "Due today", "Due tomorrow", "Due in 2 days"
+ */
+export function formatDueLabel(task, today = new Date()) {
+  const daysUntilDue = getDaysUntilDue(task, today)
+  if (daysUntilDue === null) return ''
+  if (daysUntilDue < -1) return `${-daysUntilDue} days overdue`
+  if (daysUntilDue === -1) return '1 day overdue'
+  if (daysUntilDue === 0) return 'Due today'
+  if (daysUntilDue === 1) return 'Due tomorrow'
+  return `Due in ${daysUntilDue} days`
+}
+
+/**
+ * Open tasks that are overdue, due today or due within `days`, grouped by due status.
+ * Each group is sorted by priority, then by due date (most overdue / soonest first)
+ */
+export function getDueAgenda(tasks, { today = new Date(), days = DUE_SOON_DAYS } = {}) {
+  const agenda = { overdue: [], today: [], soon: [] }
+
+  tasks.forEach(task => {
+    const status = getDueStatus(task, today, days)
+    if (status) agenda[status].push(task)
+  })
+
+  Object.values(agenda).forEach(group => {
+    group.sort((a, b) => comparePriority(a, b) || a.due_date.localeCompare(b.due_date) || a.task.localeCompare(b.task))
+  })
+
+  return agenda
+}
@@ -0,0 +1,54 @@
+/**
+ * Tasks of one week/day bucket in display order
+ */
+export function getBucketTasks(tasks, week, day) {
+  return tasks
+    .filter(t => t.week === week && t.day === day)
+    .sort((a, b) => (a.position || 0) - (b.position || 0))
+}
+
+/**
+ * Work out the placement changes for dropping `activeTask` onto `overTask`
+ * The moved task takes the over task's slot; both the source and the target bucket are renumbered
+ * Returns [{ id, week, day, position }] for every task whose placement changes
+ */
+export function computeTaskMove(tasks, activeTask, overTask) {
+  const target = getBucketTasks(tasks, overTask.week, overTask.day)
+  const sameBucket = activeTask.week === overTask.week && activeTask.day === overTask.day
+  const targetIndex = target.findIndex(t => t.id === overTask.id)
+
+  const reordered = target.filter(t => t.id !== activeTask.id)
+  reordered.splice(targetIndex, 0, activeTask)
+
+  const placements = reordered.map((task, position) => ({
+    id: task.id,
+    week: overTask.week,
+    day: overTask.day,
+    position,
+  }))
+
+  if (!sameBucket) {
+    // Close the gap left in the source bucket
+    getBucketTasks(tasks, activeTask.week, activeTask.day)
+      .filter(t => t.id !== activeTask.id)
+      .forEach((task, position) => {
+        placements.push({ id: task.id, week: task.week, day: task.day, position })
+      })
+  }
+
+  return placements.filter(placement => {
+    const task = tasks.find(t => t.id === placement.id)
+    return task.week !== placement.week || task.day !== placement.day || (task.position || 0) !== placement.position
+  })
+}
+
+/**
+ * Apply placement changes to the local task list (optimistic update)
+ */
+export function applyTaskPlacements(tasks, placements) {
+  const byId = new Map(placements.map(p => [p.id, p]))
+  return tasks.map(task => {
+    const placement = byId.get(task.id)
+    return placement ? { ...task, week: placement.week, day: placement.day, position: placement.position } : task
+  })
+}
@@ -0,0 +1,206 @@
+import { format, isValid, parseISO } from 'date-fns'
+import { getStatusLabel, normalizeStatus } from './taskStatus'
+import { isTaskBlocked } from './taskDependencies'
+import { normalizeTag } from './taskTags'
+
+/*
+ * Search syntax for the Tasks tab, e.g.
+ *   priority:high status:pending week:2 due:<2026-11-01 "packaging" -#legal
+ *
+ * - bare words and "quoted phrases" match task name, notes, priority, status, assignee and tags
+ * - field:value qualifiers (see SEARCH_FIELDS); field:"quoted value" for values with spaces
+ * - week and due accept <, <=, >, >=, = and ranges (week:2..3, due:2026-11-01..2026-11-07)
+ * - a leading "-" negates any term; "#tag" is short for tag:tag
+ */
+
+// Qualifier aliases -> canonical field
+const SEARCH_FIELDS = {
+  task: 'task',
+  title: 'task',
+  name: 'task',
+  notes: 'notes',
+  priority: 'priority',
+  p: 'priority',
+  status: 'status',
+  s: 'status',
+  week: 'week',
+  w: 'week',
+  day: 'day',
+  due: 'due',
+  assignee: 'assignee',
+  a: 'assignee',
+  tag: 'tag',
+  is: 'is',
+}
+
+const IS_VALUES = ['completed', 'done', 'open', 'blocked', 'recurring']
+
+// Optional "-", optional "field:", then a "quoted phrase" or a bare word
+const TOKEN_REGEX = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+const COMPARISON_REGEX = /^(<=|>=|<|>|=)?(.*)$/
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Parse "<2", "2..3" or "2" into { op, value, to } using `parseValue` for the operands
+function parseComparison(raw, parseValue) {
+  const range = raw.split('..')
+  if (range.length === 2) {
+    const from = parseValue(range[0])
+    const to = parseValue(range[1])
+    return from === null || to === null ? null : { op: 'range', value: from, to }
+  }
+
+  const [, op = '=', operand] = raw.match(COMPARISON_REGEX)
+  const value = parseValue(operand)
+  return value === null ? null : { op, value }
+}
+
+function parseWeek(value) {
+  const week = parseInt(value)
+  return isNaN(week) ? null : week
+}
+
+function parseDate(value) {
+  if (value === 'today') return format(new Date(), 'yyyy-MM-dd')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !isValid(parseISO(value))) return null
+  return value
+}
+
+// Works for numbers and yyyy-MM-dd strings alike
+function compare(actual, { op, value, to }) {
+  switch (op) {
+    case '<': return actual < value
+    case '<=': return actual <= value
+    case '>': return actual > value
+    case '>=': return actual >= value
+    case 'range': return actual >= value && actual <= to
+    default: return actual === value
+  }
+}
+
+/**
+ * Parse a query into terms: [{ field, value, negate, comparison? }]
+ * `field` is null for free text. Terms that can't be understood are reported in `errors`
+ */
+export function parseSearchQuery(query) {
+  const terms = []
+  const errors = []
+
+  for (const match of String(query || '').matchAll(TOKEN_REGEX)) {
+    const [raw, minus, qualifier, quoted, word] = match
+    const negate = minus === '-'
+    const isPhrase = quoted !== undefined
+    let value = (isPhrase ? quoted : word || '').trim()
+    let field = (qualifier && SEARCH_FIELDS[qualifier.toLowerCase()]) || null
+
+    // Unknown qualifiers (e.g. "http:") are just text
+    if (qualifier && !field) {
+      value = raw.slice(negate ? 1 : 0).replace(/"/g, '')
+    }
+
+    if (!field && !isPhrase && value.startsWith('#') && value.length > 1) {
+      field = 'tag'
+      value = value.slice(1)
+    }
+
+    if (!value) continue
+
+    const term = { field, value: value.toLowerCase(), negate }
+
+    if (field === 'due' && term.value === 'none') {
+      // Tasks without a due date, no comparison needed
+    } else if (field === 'week' || field === 'due') {
+      term.comparison = parseComparison(term.value, field === 'week' ? parseWeek : parseDate)
+      if (!term.comparison) {
+        errors.push(field === 'week'
+          ? `"${value}" is not a week number`
+          : `"${value}" is not a date (use YYYY-MM-DD, "today" or "none")`)
+        continue
+      }
+    } else if (field === 'is' && !IS_VALUES.includes(term.value)) {
+      errors.push(`is:${value} is not supported (try ${IS_VALUES.join(', ')})`)
+      continue
+    } else if (field === 'tag') {
+      term.value = normalizeTag(term.value)
+    } else if (field === 'status') {
+      term.value = normalizeStatus(term.value)
+    }
+
+    terms.push(term)
+  }
+
+  return { terms, errors }
+}
+
+function includesText(value, text) {
+  return Boolean(value) && String(value).toLowerCase().includes(text)
+}
+
+function matchesTerm(task, term, context) {
+  const { value } = term
+  const assignee = context.getAssignee?.(task)
+
+  switch (term.field) {
+    case 'task':
+      return includesText(task.task, value)
+    case 'notes':
+      return includesText(task.notes, value)
+    case 'priority':
+      return (task.priority || '').toLowerCase() === value
+    case 'status':
+      return (task.status || 'pending') === value
+    case 'week':
+      return compare(task.week, term.comparison)
+    case 'day':
+      return includesText(task.day, value)
+    case 'due':
+      if (value === 'none') return !task.due_date
+      return Boolean(task.due_date) && compare(task.due_date, term.comparison)
+    case 'assignee':
+      if (value === 'me') return Boolean(context.currentUserId) && task.assignee_id === context.currentUserId
+      if (value === 'none') return !task.assignee_id
+      return Boolean(assignee) && (includesText(assignee.email, value) || includesText(assignee.full_name, value))
+    case 'tag':
+      return (task.tags || []).includes(value)
+    case 'is':
+      if (value === 'completed' || value === 'done') return task.completed
+      if (value === 'open') return !task.completed
+      if (value === 'blocked') return task.status === 'blocked' || (!task.completed && isTaskBlocked(task, context.tasks || []))
+      return Boolean(task.recurrence_rule)
+    default:
+      return (
+        includesText(task.task, value) ||
+        includesText(task.notes, value) ||
+        includesText(task.priority, value) ||
+        includesText(task.status, value) ||
+        includesText(getStatusLabel(task.status), value) ||
+        (assignee && (includesText(assignee.email, value) || includesText(assignee.full_name, value))) ||
+        (task.tags || []).some(tag => tag.includes(value))
+      )
+  }
+}
+
+/**
+ * Does the task match every term of a parsed query?
+ * Context: { tasks, getAssignee(task), currentUserId }
+ */
+export function matchesSearch(task, parsed, context = {}) {
+  return parsed.terms.every(term => Boolean(matchesTerm(task, term, context)) !== term.negate)
+}
+
+/**
+ * Text to highlight in task names and notes: positive free-text terms and task/notes qualifiers
+ */
+export function getHighlightTerms(parsed) {
+  return [...new Set(
+    parsed.terms
+      .filter(term => !term.negate && (term.field === null || term.field === 'task' || term.field === 'notes'))
+      .map(term => term.value)
+  )]
+}
+
+export function hasHighlight(text, terms) {
+  return Boolean(text) && terms.some(term => text.toLowerCase().includes(term))
+}
@@ -0,0 +1,48 @@
+/**
+ * Task statuses in board column order
+ */
+export const TASK_STATUSES = [
+  { value: 'pending', label: 'Pending', variant: 'warning' },
+  { value: 'in_progress', label: 'In Progress', variant: 'info' },
+  { value: 'blocked', label: 'Blocked', variant: 'danger' },
+  { value: 'completed', label: 'Completed', variant: 'success' },
+]
+
+export const TASK_STATUS_VALUES = TASK_STATUSES.map(s => s.value)
+
+/**
+ * Normalize user input like "In Progress" or "in-progress" to a status value
+ */
+export function normalizeStatus(status) {
+  return String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_')
+}
+
+export function getStatusLabel(status) {
+  return TASK_STATUSES.find(s => s.value === status)?.label || status
+}
+
+export function getStatusVariant(status) {
+  return TASK_STATUSES.find(s => s.value === status)?.variant || 'default'
+}
+
+/**
+ * Keep `status`, `completed` and `completed_at` consistent for a task update
+ * Setting a status derives `completed`; toggling `completed` resets the status.
+ * Pass the current task so re-saving an already completed task keeps its completion time.
+ */
+export function withSyncedStatus(updates, task) {
+  let synced = updates
+  if (updates.status !== undefined) {
+    synced = { ...updates, completed: updates.status === 'completed' }
+  } else if (updates.completed !== undefined) {
+    synced = { ...updates, status: updates.completed ? 'completed' : 'pending' }
+  } else {
+    return updates
+  }
+
+  // Completion time feeds the burndown and velocity charts; an explicit value (e.g. from undo) wins
+  if (synced.completed_at === undefined && !(synced.completed && task?.completed)) {
+    synced.completed_at = synced.completed ? new Date().toISOString() : null
+  }
+  return synced
+}
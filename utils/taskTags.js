@@ -0,0 +1,49 @@
+export const TAG_MAX_LENGTH = 30
+
+// Badge variants tags cycle through ("danger" is left out so tags never look like the blocked badge)
+const TAG_VARIANTS = ['info', 'success', 'warning', 'purple', 'pink', 'teal', 'indigo', 'orange']
+
+/**
+ * Canonical form of a tag, e.g. " Partner Outreach " -> "partner-outreach"
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '')
+}
+
+/**
+ * Split a free-form list such as "legal; packaging" or "legal, packaging" into unique tags
+ */
+export function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value || '').split(/[;,]/)
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))]
+}
+
+/**
+ * Tags as a single CSV cell, e.g. "legal;packaging"
+ */
+export function formatTags(tags) {
+  return (tags || []).join(';')
+}
+
+/**
+ * Stable Badge variant per tag so the same tag always has the same color
+ */
+export function getTagVariant(tag) {
+  const hash = String(tag).split('').reduce((acc, char) => acc + char.charCodeAt(0), 0)
+  return TAG_VARIANTS[hash % TAG_VARIANTS.length]
+}
+
+/**
+ * Every tag used across the tasks, alphabetically
+ */
+export function getAllTags(tasks) {
+  return [...new Set(tasks.flatMap(task => task.tags || []))].sort()
+}
+
+export function hasAllTags(task, tags) {
+  return tags.every(tag => (task.tags || []).includes(tag))
+}
@@ -1,13 +1,56 @@
+import { DEFAULT_SPRINT, normalizeSprint } from './sprintConfig'
+import { TASK_STATUS_VALUES, normalizeStatus } from './taskStatus'
+import { TAG_MAX_LENGTH, parseTags } from './taskTags'
+
+/**
+ * Find the team member profile for an email address (case-insensitive)
+ */
+export function findProfileByEmail(email, profiles = []) {
+  const emailLower = String(email || '').trim().toLowerCase()
+  return profiles.find(p => p.email && p.email.toLowerCase() === emailLower)
+}
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// CSV column -> task fields it sets, used to update only the columns present in a re-import
+const IMPORT_COLUMN_FIELDS = {
+  week: ['week'],
+  day: ['day'],
+  task: ['task'],
+  priority: ['priority'],
+  status: ['status', 'completed'],
+  due_date: ['due_date'],
+  notes: ['notes'],
+  assignee: ['assignee_id'],
+  tags: ['tags'],
+}
+
 /**
  * Validate task data from CSV import
+ * Options: sprint (limits the week range), profiles (team members for the assignee column),
+ * existingTasks (rows with an id must refer to one of these)
  */
-export function validateTask(task, rowNumber) {
+export function validateTask(task, rowNumber, { sprint = DEFAULT_SPRINT, profiles = [], existingTasks = [] } = {}) {
   const errors = []
+  const { num_weeks } = normalizeSprint(sprint)
+  
+  // Validate id (optional, present in exported files)
+  let existingTask = null
+  if (task.id && task.id.trim() !== '') {
+    existingTask = existingTasks.find(existing => existing.id === task.id.trim()) || null
+    if (!UUID_REGEX.test(task.id.trim())) {
+      errors.push(`Row ${rowNumber}: Id must be a task id from an export`)
+    } else if (!existingTask) {
+      errors.push(`Row ${rowNumber}: No existing task with id ${task.id.trim()} (clear the id to import it as a new task)`)
+    }
+  }
   
-  // Validate week
+  // Validate week against the configured sprint length
+  // An existing task may keep its current week even if the sprint was shortened since, so exports re-import as-is
   const week = parseInt(task.week)
-  if (isNaN(week) || week < 1 || week > 4) {
-    errors.push(`Row ${rowNumber}: Week must be a number between 1 and 4`)
+  const keepsCurrentWeek = existingTask && week === parseInt(existingTask.week)
+  if (isNaN(week) || week < 1 || (week > num_weeks && !keepsCurrentWeek)) {
+    errors.push(`Row ${rowNumber}: Week must be a number between 1 and ${num_weeks}`)
   }
   
   // Validate day
@@ -30,9 +73,8 @@ export function validateTask(task, rowNumber) {
   
   // Validate status (optional)
   if (task.status && task.status.trim() !== '') {
-    const validStatuses = ['pending', 'completed']
-    if (!validStatuses.includes(task.status.toLowerCase())) {
-      errors.push(`Row ${rowNumber}: Status must be one of: ${validStatuses.join(', ')}`)
+    if (!TASK_STATUS_VALUES.includes(normalizeStatus(task.status))) {
+      errors.push(`Row ${rowNumber}: Status must be one of: ${TASK_STATUS_VALUES.join(', ')}`)
     }
   }
   
@@ -49,6 +91,19 @@ export function validateTask(task, rowNumber) {
     }
   }
   
+  // Validate assignee (optional, must match a team member's email)
+  if (task.assignee && task.assignee.trim() !== '') {
+    if (!findProfileByEmail(task.assignee, profiles)) {
+      errors.push(`Row ${rowNumber}: No team member with email "${task.assignee.trim()}"`)
+    }
+  }
+  
+  // Validate tags (optional, separated by ";" or ",")
+  const longTags = parseTags(task.tags).filter(tag => tag.length > TAG_MAX_LENGTH)
+  if (longTags.length > 0) {
+    errors.push(`Row ${rowNumber}: Tags must be ${TAG_MAX_LENGTH} characters or less (${longTags.join(', ')})`)
+  }
+  
   // Validate notes (optional, max length)
   if (task.notes && task.notes.length > 1000) {
     errors.push(`Row ${rowNumber}: Notes must be less than 1000 characters`)
@@ -60,27 +115,43 @@ export function validateTask(task, rowNumber) {
 /**
  * Validate all tasks and return formatted data
  */
-export function validateAndFormatTasks(parsedData) {
+export function validateAndFormatTasks(parsedData, options = {}) {
   const validTasks = []
   const allErrors = []
+  const seenIds = new Set()
   
   parsedData.data.forEach((task) => {
     const rowNumber = task._rowNumber
-    const errors = validateTask(task, rowNumber)
+    const errors = validateTask(task, rowNumber, options)
+    
+    // Each exported task can only be updated once per import
+    const id = task.id ? task.id.trim() : ''
+    if (id) {
+      if (seenIds.has(id)) {
+        errors.push(`Row ${rowNumber}: Id ${id} appears more than once`)
+      }
+      seenIds.add(id)
+    }
     
     if (errors.length > 0) {
       allErrors.push(...errors)
     } else {
       // Format task for database insertion
+      const status = task.status && task.status.trim() ? normalizeStatus(task.status) : 'pending'
       const formattedTask = {
+        ...(id ? { id } : {}),
         week: parseInt(task.week),
         day: task.day.trim(),
         task: task.task.trim(),
         priority: task.priority.toLowerCase().trim(),
-        status: task.status ? task.status.toLowerCase().trim() : 'pending',
-        completed: task.status && task.status.toLowerCase().trim() === 'completed',
+        status,
+        completed: status === 'completed',
         due_date: task.due_date && task.due_date.trim() ? task.due_date.trim() : null,
-        notes: task.notes ? task.notes.trim() : null
+        notes: task.notes ? task.notes.trim() : null,
+        assignee_id: task.assignee && task.assignee.trim()
+          ? findProfileByEmail(task.assignee, options.profiles).id
+          : null,
+        tags: parseTags(task.tags)
       }
       
       validTasks.push(formattedTask)
@@ -99,6 +170,23 @@ export function validateAndFormatTasks(parsedData) {
   }
 }
 
+/**
+ * Split formatted tasks into new rows and updates of existing tasks
+ * Updates only carry the fields whose columns are in the CSV, so missing columns keep their current values
+ */
+export function splitImportedTasks(validTasks, headers = []) {
+  const updateFields = ['id', ...headers.flatMap(header => IMPORT_COLUMN_FIELDS[header] || [])]
+  
+  return {
+    inserts: validTasks.filter(task => !task.id),
+    updates: validTasks
+      .filter(task => task.id)
+      .map(task => Object.fromEntries(
+        Object.entries(task).filter(([field]) => updateFields.includes(field))
+      ))
+  }
+}
+
 /**
  * Check for duplicate tasks
  */
@@ -0,0 +1,72 @@
+import { compareSchedule } from './taskDependencies'
+
+export const TASK_SORT_OPTIONS = [
+  { value: 'manual', label: 'Schedule order' },
+  { value: 'due_date', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'name', label: 'Name' },
+]
+
+export const TASK_LAYOUTS = ['list', 'timeline', 'board']
+
+// What a saved view stores, and what "All tasks" resets to
+export const DEFAULT_VIEW_STATE = {
+  query: '',
+  my_tasks_only: false,
+  sort: 'manual',
+  layout: 'list',
+}
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 }
+
+// High before medium before low; unknown priorities last
+export function comparePriority(a, b) {
+  return (PRIORITY_RANK[a.priority] ?? 3) - (PRIORITY_RANK[b.priority] ?? 3)
+}
+
+// Week, day, then the drag-and-drop position
+function compareManual(a, b) {
+  return compareSchedule(a, b) || (a.position || 0) - (b.position || 0)
+}
+
+const comparators = {
+  manual: compareManual,
+  due_date: (a, b) => {
+    // Tasks without a due date go last
+    if (a.due_date !== b.due_date) {
+      if (!a.due_date) return 1
+      if (!b.due_date) return -1
+      return a.due_date < b.due_date ? -1 : 1
+    }
+    return compareManual(a, b)
+  },
+  priority: (a, b) => comparePriority(a, b) || compareManual(a, b),
+  name: (a, b) => a.task.localeCompare(b.task) || compareManual(a, b),
+}
+
+/**
+ * Sorted copy of the tasks; within the week/day groups of the table this is the row order
+ */
+export function sortTasks(tasks, sort = 'manual') {
+  return [...tasks].sort(comparators[sort] || compareManual)
+}
+
+/**
+ * A saved view's settings with defaults filled in
+ */
+export function getViewState(view) {
+  return {
+    query: view?.query || DEFAULT_VIEW_STATE.query,
+    my_tasks_only: Boolean(view?.my_tasks_only),
+    sort: comparators[view?.sort] ? view.sort : DEFAULT_VIEW_STATE.sort,
+    layout: TASK_LAYOUTS.includes(view?.layout) ? view.layout : DEFAULT_VIEW_STATE.layout,
+  }
+}
+
+/**
+ * Do the current settings differ from the view (or from the defaults when no view is active)?
+ */
+export function isViewModified(view, state) {
+  const saved = getViewState(view)
+  return Object.keys(saved).some(key => saved[key] !== state[key])
+}
@@ -0,0 +1,81 @@
+const MS_PER_HOUR = 3600000
+
+/**
+ * Hours logged by one time entry; a running entry counts up to `now`
+ */
+export function getEntryHours(entry, now = Date.now()) {
+  const start = new Date(entry.started_at).getTime()
+  const end = entry.ended_at ? new Date(entry.ended_at).getTime() : now
+  return Math.max(end - start, 0) / MS_PER_HOUR
+}
+
+/**
+ * Total hours logged against a task
+ */
+export function getTrackedHours(entries, taskId, now = Date.now()) {
+  return entries
+    .filter(entry => entry.task_id === taskId)
+    .reduce((sum, entry) => sum + getEntryHours(entry, now), 0)
+}
+
+/**
+ * The user's running timer, if any (a user times one task at a time)
+ */
+export function getRunningEntry(entries, userId) {
+  return entries.find(entry => !entry.ended_at && entry.user_id === userId) || null
+}
+
+/**
+ * Compact duration, e.g. 1.5 -> "1h 30m", 0.25 -> "15m"
+ */
+export function formatHours(hours) {
+  const totalMinutes = Math.round((hours || 0) * 60)
+  const h = Math.floor(totalMinutes / 60)
+  const m = totalMinutes % 60
+  if (h === 0) return `${m}m`
+  return m === 0 ? `${h}h` : `${h}h ${m}m`
+}
+
+/**
+ * Estimated vs. actual hours per week, e.g. [{ week, title, estimated, actual, variance, taskCount }]
+ * Only tasks with an estimate or logged time count towards a week
+ */
+export function getWeeklyTimeSummary(tasks, entries, weeks, now = Date.now()) {
+  return weeks.map(week => {
+    const weekTasks = tasks.filter(task => task.week === week.number)
+    const tracked = weekTasks
+      .map(task => ({
+        estimated: parseFloat(task.estimate_hours) || 0,
+        actual: getTrackedHours(entries, task.id, now),
+      }))
+      .filter(({ estimated, actual }) => estimated > 0 || actual > 0)
+
+    const estimated = tracked.reduce((sum, t) => sum + t.estimated, 0)
+    const actual = tracked.reduce((sum, t) => sum + t.actual, 0)
+
+    return {
+      week: week.number,
+      title: week.title,
+      estimated,
+      actual,
+      // Positive when the week took longer than planned
+      variance: estimated > 0 ? ((actual - estimated) / estimated) * 100 : null,
+      taskCount: tracked.length,
+    }
+  })
+}
+
+/**
+ * Tasks that ran furthest over their estimate, worst first
+ */
+export function getOverEstimateTasks(tasks, entries, limit = 5, now = Date.now()) {
+  return tasks
+    .map(task => {
+      const estimated = parseFloat(task.estimate_hours) || 0
+      const actual = getTrackedHours(entries, task.id, now)
+      return { task, estimated, actual, overrun: actual - estimated }
+    })
+    .filter(({ estimated, overrun }) => estimated > 0 && overrun > 0)
+    .sort((a, b) => b.overrun - a.overrun)
+    .slice(0, limit)
+}
@@ -0,0 +1,97 @@
+/*
+ * Minimal ZIP writer for downloads built in the browser (e.g. the receipts bundle).
+ * Files are stored uncompressed: receipts are already compressed images and PDFs.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS time and date fields used by ZIP headers
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  }
+}
+
+async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data)
+  if (data instanceof Uint8Array) return data
+  return new Uint8Array(await data.arrayBuffer())
+}
+
+/**
+ * Build a .zip Blob from [{ name, data }] where data is a string, Uint8Array or Blob
+ * Names may contain folders, e.g. "receipts/2026-10-01-office-depot.pdf"
+ */
+export async function createZipArchive(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder()
+  const { time, date } = toDosDateTime(modifiedAt)
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = await toBytes(file.data)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true) // version needed
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true)
+    central.setUint16(4, 20, true) // version made by
+    central.setUint16(6, 20, true) // version needed
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true) // extra, comment, disk and attribute fields stay 0
+
+    localParts.push(local, name, data)
+    centralParts.push(central, name)
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' })
+}